@@ -8,8 +8,25 @@ import boxen from 'boxen';
 import * as emoji from 'node-emoji';
 import { showMainMenu } from './commands/menu.js';
 import { generateProject } from './commands/generate.js';
-import { manageTemplates } from './commands/templates.js';
+import {
+  manageTemplates,
+  listTemplates,
+  listTemplateVersions,
+  importTemplate,
+  exportTemplate,
+  deleteTemplate,
+  restoreTemplates,
+  searchTemplates,
+  installTemplate,
+  updateTemplates,
+  lintTemplates
+} from './commands/templates.js';
 import { configureSettings } from './commands/settings.js';
+import { addToProject } from './commands/add.js';
+import { showProjectInfo } from './commands/info.js';
+import { updateProject } from './commands/update.js';
+import { addFeatureToProject } from './commands/feature.js';
+import { ADD_TYPES } from './utils/component-generator.js';
 import { Logger } from './utils/logger.js';
 import { ConfigManager } from './utils/config.js';
 
@@ -71,13 +88,49 @@ program
   .description('Generate a new project')
   .option('-n, --name <name>', 'Project name')
   .option('-f, --framework <framework>', 'Framework (react, vue, angular, etc.)')
-  .option('-t, --template <template>', 'Template to use')
+  .option('-t, --template <template>', 'Template to use, optionally with a version (name@^2.0.0)')
+  .option('-d, --description <description>', 'Project description')
+  .option('--features <features>', 'Comma-separated features (e.g. eslint,jest)')
+  .option('-p, --package-manager <manager>', 'Package manager (npm, yarn, pnpm)')
+  .option('-y, --yes', 'Accept configured defaults instead of prompting')
+  .option('--answers <file>', 'Replay answers from a JSON file')
+  .option('-o, --output <dir>', 'Directory to create the project in (default: current directory)')
+  .option('--on-conflict <strategy>', 'When the project directory exists: abort, merge, overwrite or backup')
+  .option('--dry-run', 'Show the files that would be generated without writing them')
+  .option('--skip-install', 'Do not install dependencies after generating')
+  .option('--offline', 'Install dependencies from the package manager cache only')
+  .option('--no-git', 'Skip git init and the initial commit')
+  .option('--no-hooks', 'Do not run template lifecycle hooks')
+  .option('--trust-hooks', 'Run hooks from templates that were not created locally without asking')
   .action(async (options) => {
     displayWelcome();
-    await generateProject(options);
+    try {
+      await generateProject(options);
+    } catch (error) {
+      // generateProject has already reported the failure
+      process.exit(1);
+    }
   });
 
 program
+  .command('add <type> <name>')
+  .description(`Add a ${ADD_TYPES.join(', ')} to the project in the current directory`)
+  .option('--dir <dir>', 'Directory under src/ to generate into (default depends on the type)')
+  .option('--framework <framework>', 'Override the detected framework')
+  .option('--test', 'Generate a test file even when no test runner is detected')
+  .option('--no-test', 'Do not generate a test file')
+  .option('--no-style', 'Do not generate a style file')
+  .option('--no-barrel', 'Do not update index export files')
+  .option('--force', 'Overwrite existing files')
+  .action(async (type, name, options) => {
+    try {
+      await addToProject(type, name, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+const templatesCommand = program
   .command('templates')
   .alias('t')
   .description('Manage templates')
@@ -86,6 +139,176 @@ program
     await manageTemplates();
   });
 
+templatesCommand
+  .command('list')
+  .alias('ls')
+  .description('List installed templates')
+  .option('-f, --framework <framework>', 'Only show templates for this framework')
+  .action(async (options) => {
+    try {
+      await listTemplates(options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('versions <name>')
+  .description('List the installed versions of a template')
+  .action(async (name) => {
+    try {
+      await listTemplateVersions(name);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('lint [name]')
+  .description('Check templates (all, by name, or a template folder) for manifest and placeholder problems')
+  .option('--strict', 'Fail on warnings too')
+  .action(async (name, options) => {
+    try {
+      await lintTemplates(name, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('import <source>')
+  .description('Import a template from a folder, .zip/.tar.gz archive, or git repository')
+  .option('--force', 'Replace an existing template with the same name')
+  .option('--name <name>', 'Install under a different template name')
+  .option('--git', 'Treat the source as a git repository and clone it')
+  .action(async (source, options) => {
+    try {
+      await importTemplate(source, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('export <name>')
+  .description('Export a template as a .zip, .tar.gz or JSON bundle')
+  .option('--format <format>', 'zip, tar.gz or json', 'zip')
+  .option('-o, --output <file>', 'Output file (default: <name>.<format> in the current directory)')
+  .action(async (name, options) => {
+    try {
+      await exportTemplate(name, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('delete <name>')
+  .alias('rm')
+  .description('Delete an installed template')
+  .option('--force', 'Allow deleting a built-in template')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (name, options) => {
+    try {
+      await deleteTemplate(name, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('restore')
+  .description('Reinstall missing built-in templates')
+  .option('--force', 'Also reset built-in templates that still exist')
+  .action(async (options) => {
+    try {
+      await restoreTemplates(options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('search [term]')
+  .description('Search the template registry')
+  .option('--registry <source>', 'Registry directory or URL (default: the configured registry)')
+  .action(async (term, options) => {
+    try {
+      await searchTemplates(term, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('install <name>')
+  .description('Install a template from the registry (name or name@range)')
+  .option('--registry <source>', 'Registry directory or URL (default: the configured registry)')
+  .option('--force', 'Replace the version if it is already installed')
+  .action(async (name, options) => {
+    try {
+      await installTemplate(name, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+templatesCommand
+  .command('update [names...]')
+  .description('Install newer registry versions of installed templates')
+  .option('--registry <source>', 'Registry directory or URL (default: the configured registry)')
+  .option('--check', 'Only list available updates')
+  .action(async (names, options) => {
+    try {
+      await updateTemplates(names, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+const featureCommand = program
+  .command('feature')
+  .description('Manage features (ESLint, Jest, Docker, ...) of an existing project');
+
+featureCommand
+  .command('add <feature>')
+  .description('Add a feature (eslint, jest, docker, a plugin feature, ...) to the current project')
+  .option('--framework <framework>', 'Framework, when it cannot be detected from package.json')
+  .action(async (feature, options) => {
+    try {
+      await addFeatureToProject(feature, options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command('info')
+  .description('Show how the current project was generated (reads .codegenrc.json)')
+  .option('--json', 'Print the raw manifest')
+  .action(async (options) => {
+    try {
+      await showProjectInfo(options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command('update')
+  .description('Merge changes from a newer version of the project\'s template into it')
+  .option('--to <range>', 'Template version or range to update to (default: latest installed)')
+  .option('--dry-run', 'Show what would change without writing anything')
+  .option('--reject', 'Keep conflicting files as they are and write the template change to <file>.rej')
+  .option('--force', 'Re-apply the template even if the project is already on that version')
+  .action(async (options) => {
+    try {
+      await updateProject(options);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
 program
   .command('config')
   .alias('c')
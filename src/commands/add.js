@@ -0,0 +1,77 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import * as emoji from 'node-emoji';
+import { Logger } from '../utils/logger.js';
+import { ComponentGenerator, ADD_TYPES } from '../utils/component-generator.js';
+
+const logger = new Logger();
+
+const TYPE_LABELS = {
+  component: 'Component',
+  hook: 'React hook',
+  service: 'Service/Utility',
+  test: 'Test file',
+  docs: 'Documentation'
+};
+
+export async function addToProject(type, name, options = {}) {
+  const generator = new ComponentGenerator(options.cwd);
+
+  try {
+    const project = await generator.detectProject({
+      framework: options.framework,
+      typescript: options.typescript
+    });
+    logger.debug(`Detected ${project.framework} project in ${project.root}`);
+
+    const files = await generator.generate(type, name, options);
+
+    logger.success(`${emoji.get('sparkles')} Added ${TYPE_LABELS[type].toLowerCase()} "${name}" to the ${project.framework} project`);
+    files.forEach(file => {
+      const marker = file.action === 'created' ? chalk.green('create') : chalk.yellow('update');
+      console.log(`  ${marker} ${file.path}`);
+    });
+
+    return files;
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+}
+
+export async function promptAddToProject() {
+  const generator = new ComponentGenerator();
+
+  let project;
+  try {
+    project = await generator.detectProject();
+  } catch (error) {
+    logger.error(`${error.message}. Run this from inside a project.`);
+    return;
+  }
+
+  logger.info(`Detected a ${project.framework}${project.typescript ? ' + TypeScript' : ''} project`);
+
+  const { type, name } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'type',
+      message: 'What would you like to add?',
+      choices: ADD_TYPES
+        .filter(addType => addType !== 'hook' || ['react', 'nextjs'].includes(project.framework))
+        .map(addType => ({ name: TYPE_LABELS[addType], value: addType }))
+    },
+    {
+      type: 'input',
+      name: 'name',
+      message: (answers) => (answers.type === 'test' ? 'Source file to test, or a test name:' : 'Name:'),
+      validate: input => input.trim() ? true : 'A name is required'
+    }
+  ]);
+
+  try {
+    await addToProject(type, name.trim());
+  } catch (error) {
+    // Already reported
+  }
+}
@@ -0,0 +1,84 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import * as emoji from 'node-emoji';
+import { Logger } from '../utils/logger.js';
+import { FeatureInstaller } from '../utils/feature-installer.js';
+
+const logger = new Logger();
+
+export async function addFeatureToProject(feature, options = {}) {
+  const installer = new FeatureInstaller(options.cwd);
+
+  try {
+    const project = await installer.detectProject({ framework: options.framework });
+    logger.debug(`Detected ${project.framework} project in ${project.root}`);
+
+    const { installed, files, added, kept } = await installer.install(feature);
+
+    logger.success(`${emoji.get('sparkles')} Added ${installed.join(', ')} to the ${project.framework} project`);
+    files.forEach(file => {
+      const marker = file.action === 'created' ? chalk.green('create') : chalk.yellow('update');
+      console.log(`  ${marker} ${file.path}`);
+    });
+
+    added.forEach(entry => {
+      console.log(`  ${chalk.green('+')} ${entry.section}.${entry.name} ${chalk.gray(entry.value)}`);
+    });
+
+    if (kept.length > 0) {
+      logger.warning(`Kept ${kept.length} existing package.json entr${kept.length === 1 ? 'y' : 'ies'}:`);
+      kept.forEach(entry => {
+        logger.log(`  ${entry.section}.${entry.name} ${chalk.gray(`is "${entry.value}", ${feature} uses "${entry.wanted}"`)}`);
+      });
+    }
+
+    if (added.some(entry => entry.section !== 'scripts')) {
+      logger.info(`Run '${project.packageManager} install' to install the new dependencies.`);
+    }
+
+    return { installed, files, added, kept };
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+}
+
+export async function promptAddFeature() {
+  const installer = new FeatureInstaller();
+
+  let project;
+  try {
+    project = await installer.detectProject();
+  } catch (error) {
+    logger.error(`${error.message}. Run this from inside a project.`);
+    return;
+  }
+
+  const available = [];
+  for (const feature of await installer.registry.list()) {
+    const applies = !feature.frameworks || feature.frameworks.includes(project.framework);
+    if (applies && !(await installer.findExisting(feature))) {
+      available.push({ name: feature.label || feature.name, value: feature.name });
+    }
+  }
+
+  if (available.length === 0) {
+    logger.info(`Every available feature is already set up in this ${project.framework} project.`);
+    return;
+  }
+
+  const { feature } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'feature',
+      message: `Add a feature to this ${project.framework} project:`,
+      choices: available
+    }
+  ]);
+
+  try {
+    await addFeatureToProject(feature);
+  } catch (error) {
+    // Already reported
+  }
+}
@@ -1,72 +1,109 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import os from 'os';
 import path from 'path';
 import fs from 'fs-extra';
+import { glob } from 'glob';
 import validatePackageName from 'validate-npm-package-name';
 import * as emoji from 'node-emoji';
 import { Logger } from '../utils/logger.js';
-import { TemplateManager } from '../utils/templates.js';
+import { TemplateManager, HOOK_NAMES } from '../utils/templates.js';
 import { ConfigManager } from '../utils/config.js';
+import { PackageManager, PACKAGE_MANAGERS } from '../utils/package-manager.js';
+import { Git } from '../utils/git.js';
+import { TemplateRegistry } from '../utils/registry.js';
+import { FeatureRegistry } from '../utils/feature-registry.js';
+import { createProjectManifest, writeProjectManifest, PROJECT_MANIFEST_FILE } from '../utils/project-manifest.js';
 
 const logger = new Logger();
 const templateManager = new TemplateManager();
 const config = new ConfigManager();
+const featureRegistry = new FeatureRegistry();
 
-// Get the user's Downloads directory
-function getDownloadsPath() {
-  const homeDir = process.env.HOME || process.env.USERPROFILE;
-  if (process.platform === 'win32') {
-    return path.join(homeDir, 'Downloads');
-  } else {
-    return path.join(homeDir, 'Downloads');
+export const CONFLICT_STRATEGIES = ['abort', 'merge', 'overwrite', 'backup'];
+const DEFAULT_FEATURES = ['typescript', 'eslint', 'prettier'];
+
+async function resolveOutputOptions(options) {
+  const configData = await config.getConfig();
+  const outputDir = path.resolve(options.output || configData.outputDirectory || process.cwd());
+  const conflictStrategy = options.onConflict || configData.conflictStrategy || 'abort';
+
+  if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+    throw new Error(`Invalid conflict strategy "${conflictStrategy}". Use one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+
+  return { outputDir, conflictStrategy };
+}
+
+// Honours autoUpdateTemplates: templates installed from the configured
+// registry are brought up to date before one is picked. A registry that
+// cannot be reached only produces a warning. Dry runs leave the installed
+// templates alone, since they must not write anything.
+async function autoUpdateTemplates(options) {
+  const configData = await config.getConfig();
+
+  if (!configData.autoUpdateTemplates || !configData.templateRegistry || options.offline || options.dryRun) {
+    return;
+  }
+
+  try {
+    const registry = new TemplateRegistry(configData.templateRegistry, { templateManager });
+    const updates = await registry.update();
+    updates.forEach(update => {
+      logger.info(`Updated template ${update.name} from ${update.current} to ${update.latest}`);
+    });
+  } catch (error) {
+    logger.warning(`Could not update templates from the registry: ${error.message}`);
   }
 }
 
 export async function generateProject(options = {}) {
   try {
-    logger.info(`${emoji.get('rocket')} Starting project generation for "${options.name}"...`);
+    await autoUpdateTemplates(options);
 
-    // For web interface, we expect all options to be provided
-    if (!options.name || !options.framework) {
-      throw new Error('Project name and framework are required');
-    }
+    const projectDetails = await getProjectDetails(options);
+    projectDetails.features = await resolveFeatures(projectDetails);
 
-    const projectDetails = {
-      name: options.name,
-      framework: options.framework,
-      features: options.features || [],
-      packageManager: options.packageManager || 'npm',
-      template: options.template
-    };
+    logger.info(`${emoji.get('rocket')} Starting project generation for "${projectDetails.name}"...`);
     
     // Validate project name
     if (!validateProjectName(projectDetails.name)) {
       throw new Error('Invalid project name');
     }
 
-    // Set project path to Downloads folder
-    const downloadsPath = getDownloadsPath();
-    const projectPath = path.join(downloadsPath, projectDetails.name);
+    const { outputDir, conflictStrategy } = await resolveOutputOptions(options);
+    const projectPath = path.join(outputDir, projectDetails.name);
     projectDetails.projectPath = projectPath;
 
-    // Check if directory already exists and remove it
-    if (await fs.pathExists(projectPath)) {
-      logger.info(`Removing existing directory "${projectDetails.name}" from Downloads...`);
-      await fs.remove(projectPath);
+    if (options.dryRun) {
+      const plan = await planProject(projectDetails, conflictStrategy);
+      printPlan(plan);
+      return { success: true, projectPath, projectDetails, ...plan };
+    }
+
+    // Fail before doing any work when the directory is taken
+    if (conflictStrategy === 'abort' && await fs.pathExists(projectPath)) {
+      const error = new Error(
+        `Directory "${projectPath}" already exists. ` +
+        `Use --on-conflict merge, overwrite or backup to write into it anyway.`
+      );
+      error.code = 'EEXIST';
+      throw error;
     }
 
     // Generate the project
-    await scaffoldProject(projectDetails);
+    const writeResult = await scaffoldProject(projectDetails, { ...options, conflictStrategy });
     
     // Show success message
-    logger.success(`Project "${projectDetails.name}" generated successfully in Downloads folder!`);
+    logger.success(`Project "${projectDetails.name}" generated successfully in ${projectPath}`);
     
     // Return project details for UI display
     return {
       success: true,
       projectPath: projectPath,
-      projectDetails
+      projectDetails,
+      ...writeResult
     };
 
   } catch (error) {
@@ -75,22 +112,92 @@ export async function generateProject(options = {}) {
   }
 }
 
+// Applies the feature requirements, conflicts and framework support to the
+// selection, however it was made
+async function resolveFeatures(details) {
+  const { features, added, warnings } = await featureRegistry.resolve(details.framework, details.features);
+
+  warnings.forEach(warning => logger.warning(warning));
+  added.forEach(({ name, requiredBy }) => logger.info(`Adding ${name}, which ${requiredBy} requires`));
+
+  return features;
+}
+
+export function parseFeatures(features) {
+  if (features === undefined || features === null) return undefined;
+  if (Array.isArray(features)) return features;
+  return String(features).split(',').map(feature => feature.trim()).filter(Boolean);
+}
+
+async function loadAnswers(answersPath) {
+  let answers;
+  try {
+    answers = await fs.readJson(path.resolve(answersPath));
+  } catch (error) {
+    throw new Error(`Failed to read answers file "${answersPath}": ${error.message}`);
+  }
+
+  // A project's .codegenrc.json records the exact template version used
+  if (answers.template && typeof answers.template === 'object') {
+    answers.template = `${answers.template.name}@${answers.template.version}`;
+  }
+
+  return answers;
+}
+
 async function getProjectDetails(options) {
+  const configData = await config.getConfig();
+
+  // Flags take precedence over a replayed answers file
+  const saved = options.answers ? await loadAnswers(options.answers) : {};
+  const provided = {
+    name: options.name ?? saved.name,
+    framework: options.framework ?? saved.framework,
+    features: parseFeatures(options.features ?? saved.features),
+    packageManager: options.packageManager ?? saved.packageManager,
+    template: options.template ?? saved.template,
+    description: options.description ?? saved.description,
+    variables: { ...(saved.variables || {}), ...(options.variables || {}) }
+  };
+
+  if (provided.packageManager && !PACKAGE_MANAGERS.includes(provided.packageManager)) {
+    throw new Error(`Unsupported package manager "${provided.packageManager}". Use one of: ${PACKAGE_MANAGERS.join(', ')}`);
+  }
+
+  // A named template implies its framework and default features
+  let defaultFeatures = DEFAULT_FEATURES;
+  if (provided.template) {
+    const template = await templateManager.resolveTemplate(provided.framework, provided.template);
+    provided.framework = provided.framework || template.framework;
+    defaultFeatures = template.features || DEFAULT_FEATURES;
+  }
+
+  if (options.yes) {
+    provided.framework = provided.framework || configData.defaultFramework;
+    provided.features = provided.features || defaultFeatures;
+  }
+
   // If all required options are provided, skip prompts (web API call)
-  if (options.name && options.framework) {
+  if (provided.name && provided.framework) {
     return {
-      name: options.name,
-      framework: options.framework,
-      features: options.features || [],
-      packageManager: options.packageManager || 'npm',
-      template: options.template
+      ...provided,
+      features: provided.features || [],
+      packageManager: provided.packageManager || configData.defaultPackageManager || 'npm'
     };
   }
 
+  if (options.yes) {
+    throw new Error('Project name is required when using --yes (pass --name or --answers)');
+  }
+
+  if (options.interactive === false || !process.stdin.isTTY) {
+    throw new Error('Project name and framework are required when not running interactively');
+  }
+
   const questions = [];
 
   // Project name
-  if (!options.name) {
+  if (!provided.name) {
     questions.push({
       type: 'input',
       name: 'name',
@@ -108,7 +215,7 @@ async function getProjectDetails(options) {
   }
 
   // Framework selection
-  if (!options.framework) {
+  if (!provided.framework) {
     questions.push({
       type: 'list',
       name: 'framework',
@@ -122,50 +229,81 @@ async function getProjectDetails(options) {
         { name: 'Nuxt.js', value: 'nuxtjs' },
         { name: 'Express.js', value: 'express' },
         { name: 'Vanilla JavaScript', value: 'vanilla' }
-      ]
+      ],
+      default: configData.defaultFramework
     });
   }
 
   // Features selection
-  questions.push({
-    type: 'checkbox',
-    name: 'features',
-    message: `${emoji.get('sparkles')} Select features to include:`,
-    choices: [
-      { name: 'TypeScript', value: 'typescript', checked: true },
-      { name: 'ESLint', value: 'eslint', checked: true },
-      { name: 'Prettier', value: 'prettier', checked: true },
-      { name: 'Jest Testing', value: 'jest' },
-      { name: 'Cypress E2E', value: 'cypress' },
-      { name: 'Tailwind CSS', value: 'tailwind' },
-      { name: 'Sass/SCSS', value: 'sass' },
-      { name: 'PWA Support', value: 'pwa' },
-      { name: 'Docker', value: 'docker' },
-      { name: 'GitHub Actions', value: 'github-actions' }
-    ]
-  });
+  if (!provided.features) {
+    questions.push({
+      type: 'checkbox',
+      name: 'features',
+      message: `${emoji.get('sparkles')} Select features to include:`,
+      choices: async (answers) => {
+        const framework = provided.framework || answers.framework;
+        return (await featureRegistry.list()).map(feature => {
+          const applies = !feature.frameworks || feature.frameworks.includes(framework);
+          return {
+            name: feature.label || feature.name,
+            value: feature.name,
+            checked: applies && defaultFeatures.includes(feature.name),
+            disabled: applies ? false : `not available for ${framework}`
+          };
+        });
+      },
+      validate: async (features, answers) => {
+        try {
+          await featureRegistry.resolve(provided.framework || answers.framework, features);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    });
+  }
 
   // Package manager
-  questions.push({
-    type: 'list',
-    name: 'packageManager',
-    message: `${emoji.get('package')} Package manager:`,
-    choices: [
-      { name: 'npm', value: 'npm' },
-      { name: 'yarn', value: 'yarn' },
-      { name: 'pnpm', value: 'pnpm' }
-    ],
-    default: 'npm'
-  });
+  if (!provided.packageManager) {
+    questions.push({
+      type: 'list',
+      name: 'packageManager',
+      message: `${emoji.get('package')} Package manager:`,
+      choices: PACKAGE_MANAGERS.map(manager => ({ name: manager, value: manager })),
+      default: configData.defaultPackageManager || 'npm'
+    });
+  }
 
   const answers = await inquirer.prompt(questions);
+  const framework = provided.framework || answers.framework;
+
+  // Offer a choice when several templates exist for the framework
+  let template = provided.template;
+  if (!template) {
+    const candidates = await templateManager.findTemplatesForFramework(framework);
+    if (candidates.length > 1) {
+      ({ template } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'template',
+          message: `${emoji.get('page_facing_up')} Template:`,
+          choices: candidates.map(t => ({
+            name: `${t.name}${t.description ? chalk.gray(` - ${t.description}`) : ''}`,
+            value: t.name
+          })),
+          default: (candidates.find(t => t.default) || candidates[0]).name
+        }
+      ]));
+    }
+  }
   
   return {
-    name: options.name || answers.name,
-    framework: options.framework || answers.framework,
-    features: answers.features || [],
-    packageManager: answers.packageManager || 'npm',
-    template: options.template
+    ...provided,
+    name: provided.name || answers.name,
+    framework,
+    features: provided.features || answers.features || [],
+    packageManager: provided.packageManager || answers.packageManager || 'npm',
+    template
   };
 }
 
@@ -186,58 +324,336 @@ function validateProjectName(name) {
   return true;
 }
 
-async function scaffoldProject(details) {
-  try {
-    // Create project directory
-    logger.info('Creating project directory in Downloads...');
-    await fs.ensureDir(details.projectPath);
-    
-    // Generate base template
-    logger.info('Generating base template...');
-    await templateManager.generateFromTemplate(details.framework, details.projectPath, details);
-    
-    // Add selected features
-    if (details.features.length > 0) {
-      logger.info(`Adding selected features: ${details.features.join(', ')}...`);
-      for (const feature of details.features) {
-        logger.info(`Adding ${feature}...`);
-        await templateManager.addFeature(details.projectPath, feature, details);
+async function confirmHooks(template, options) {
+  if (!templateManager.hasHooks(template)) {
+    return false;
+  }
+
+  if (options.hooks === false) {
+    logger.info('Skipping template hooks (--no-hooks).');
+    return false;
+  }
+
+  // Callers that cannot ask (the web API) only run hooks they explicitly trust,
+  // local templates included
+  if (options.interactive === false) {
+    if (!options.trustHooks) {
+      logger.info(`Skipping hooks from template "${template.name}" (not trusted by the caller).`);
+    }
+    return Boolean(options.trustHooks);
+  }
+
+  if (templateManager.isLocalTemplate(template) || options.trustHooks) {
+    return true;
+  }
+
+  const commands = HOOK_NAMES.flatMap(hookName => templateManager.getHooks(template, hookName)
+    .map(hook => `${hookName}: ${hook.command}`));
+
+  if (!process.stdin.isTTY) {
+    logger.warning(`Skipping hooks from template "${template.name}" (not created locally). Pass --trust-hooks to run them.`);
+    return false;
+  }
+
+  logger.warning(`Template "${template.name}" was not created locally and wants to run:`);
+  commands.forEach(command => logger.log(`  ${chalk.yellow(command)}`));
+
+  const { runHooks } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'runHooks',
+      message: 'Run these hooks?',
+      default: false
+    }
+  ]);
+
+  return runHooks;
+}
+
+// Also used by `codegen update` to recreate a template version; `quiet`
+// keeps that from repeating the generation progress output
+export async function buildProject(details, stagingPath, template, options = {}) {
+  const log = options.quiet ? logger.debug.bind(logger) : logger.info.bind(logger);
+
+  if (options.hooks) {
+    await templateManager.runHook(template, 'preGenerate', stagingPath, details);
+  }
+
+  // Generate base template
+  log(`Generating base template from "${template.name}"...`);
+  await templateManager.scaffoldFromTemplate(template, stagingPath, details);
+  
+  // Add selected features
+  if (details.features.length > 0) {
+    log(`Adding selected features: ${details.features.join(', ')}...`);
+    for (const feature of details.features) {
+      log(`Adding ${feature}...`);
+      await featureRegistry.apply(stagingPath, feature, details);
+      if (!options.quiet) {
         await new Promise(resolve => setTimeout(resolve, 200)); // Small delay for UX
       }
     }
+  }
+  
+  // Create package.json
+  log('Creating package.json...');
+  await createPackageJson(details, stagingPath);
+
+  logger.debug(`Writing ${PROJECT_MANIFEST_FILE}...`);
+  await writeProjectManifest(stagingPath, createProjectManifest(details, template));
+
+  const configData = await config.getConfig();
+  if (configData.generateGitignore !== false) {
+    await templateManager.addGitignore(stagingPath, details, await featureRegistry.getGitignoreSections(details.features));
+  }
+}
+
+async function scaffoldProject(details, options) {
+  // Build the project in a staging directory so an existing target is only
+  // touched once everything has been generated successfully
+  const stagingPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-'));
+
+  try {
+    const template = await templateManager.resolveTemplate(details.framework, details.template);
+    const hooksEnabled = await confirmHooks(template, options);
+
+    await buildProject(details, stagingPath, template, { hooks: hooksEnabled });
+
+    // Write into the output directory
+    logger.info(`Writing project to ${details.projectPath}...`);
+    const writeResult = await writeProject(stagingPath, details.projectPath, options.conflictStrategy);
+
+    if (hooksEnabled) {
+      await templateManager.runHook(template, 'postGenerate', details.projectPath, details, options);
+    }
     
-    // Create package.json
-    logger.info('Creating package.json...');
-    await createPackageJson(details);
-    
-    // Install dependencies
-    logger.info('Preparing dependency information...');
-    await installDependencies(details);
+    // Install before the first commit so it includes the lockfile the CI
+    // pipelines install from; a failed install still gets its repository
+    let installed;
+    let gitInitialized;
+    try {
+      installed = await installDependencies(details, options);
+    } finally {
+      gitInitialized = options.git === false ? false : await initializeGit(details);
+    }
+
+    if (hooksEnabled && installed) {
+      await templateManager.runHook(template, 'postInstall', details.projectPath, details, options);
+    }
     
-    logger.success(`Project "${details.name}" created successfully in Downloads folder!`);
+    logger.success(`Project "${details.name}" created successfully!`);
+
+    return { ...writeResult, gitInitialized, installed };
     
   } catch (error) {
     logger.error('Failed to create project');
     throw error;
+  } finally {
+    await fs.remove(stagingPath);
   }
 }
 
-async function createPackageJson(details) {
+// Runs the full generation pipeline into a throwaway directory and describes
+// what would be written, without touching the output directory
+async function planProject(details, conflictStrategy) {
+  const stagingPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-'));
+
+  try {
+    // Hooks can have side effects, so a dry run only reports them
+    const template = await templateManager.resolveTemplate(details.framework, details.template);
+    await buildProject(details, stagingPath, template);
+
+    const files = [];
+    for (const file of (await glob('**/*', { cwd: stagingPath, nodir: true, dot: true })).sort()) {
+      const { size } = await fs.stat(path.join(stagingPath, file));
+      files.push({ path: file, size });
+    }
+
+    const packageJson = await fs.readJson(path.join(stagingPath, 'package.json'));
+    const exists = await fs.pathExists(details.projectPath);
+    const conflicts = [];
+
+    if (exists) {
+      for (const file of files) {
+        if (await fs.pathExists(path.join(details.projectPath, file.path))) {
+          conflicts.push(file.path);
+        }
+      }
+    }
+
+    return {
+      dryRun: true,
+      conflictStrategy,
+      targetExists: exists,
+      template: template.name,
+      hooks: HOOK_NAMES.flatMap(hookName => templateManager.getHooks(template, hookName)
+        .map(hook => ({ name: hookName, command: hook.command }))),
+      files,
+      packageJson,
+      // Under "merge" the existing copies are kept; otherwise they are replaced
+      overwrittenFiles: conflictStrategy === 'merge' ? [] : conflicts,
+      skippedFiles: conflictStrategy === 'merge' ? conflicts : []
+    };
+  } finally {
+    await fs.remove(stagingPath);
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function printPlan(plan) {
+  const tree = {};
+  for (const file of plan.files) {
+    const parts = file.path.split('/');
+    let node = tree;
+    parts.slice(0, -1).forEach(part => {
+      node[part] = node[part] || {};
+      node = node[part];
+    });
+    node[parts[parts.length - 1]] = file;
+  }
+
+  const lines = [];
+  const walk = (node, prefix) => {
+    const entries = Object.entries(node).sort(([a, aValue], [b, bValue]) => {
+      const aIsDir = !('size' in aValue);
+      const bIsDir = !('size' in bValue);
+      if (aIsDir !== bIsDir) return aIsDir ? -1 : 1;
+      return a.localeCompare(b);
+    });
+
+    entries.forEach(([name, value], index) => {
+      const isLast = index === entries.length - 1;
+      const isDir = !('size' in value);
+      const connector = isLast ? '└── ' : '├── ';
+      const marker = plan.overwrittenFiles.includes(value.path)
+        ? chalk.yellow(' (overwrite)')
+        : plan.skippedFiles.includes(value.path) ? chalk.gray(' (kept existing)') : '';
+
+      lines.push(`${prefix}${connector}${isDir ? chalk.bold(`${name}/`) : name}` +
+        (isDir ? '' : ` ${chalk.gray(formatSize(value.size))}${marker}`));
+
+      if (isDir) {
+        walk(value, prefix + (isLast ? '    ' : '│   '));
+      }
+    });
+  };
+  walk(tree, '');
+
+  const totalSize = plan.files.reduce((sum, file) => sum + file.size, 0);
+
+  console.log(chalk.bold.cyan(`\n📋 Dry run: ${plan.files.length} files (${formatSize(totalSize)})\n`));
+  console.log(lines.join('\n'));
+
+  console.log(chalk.bold('\n📦 package.json:\n'));
+  console.log(JSON.stringify(plan.packageJson, null, 2));
+
+  if (plan.hooks.length > 0) {
+    console.log(chalk.bold('\n🪝 Template hooks (not run during a dry run):\n'));
+    plan.hooks.forEach(hook => console.log(`  ${chalk.gray(`${hook.name}:`)} ${hook.command}`));
+  }
+
+  console.log('');
+  if (!plan.targetExists) {
+    logger.info('Target directory does not exist yet; nothing would be overwritten.');
+  } else if (plan.conflictStrategy === 'abort') {
+    logger.warning('Target directory exists; generation would abort (see --on-conflict).');
+  } else if (plan.conflictStrategy === 'merge') {
+    logger.info(`Merge: ${plan.skippedFiles.length} existing file(s) would be kept.`);
+  } else {
+    logger.warning(`${plan.overwrittenFiles.length} existing file(s) would be overwritten` +
+      (plan.conflictStrategy === 'backup' ? ' after backing up the directory.' : '; other existing files would be kept.'));
+  }
+
+  logger.info('Dry run complete. No files were written.');
+}
+
+async function writeProject(stagingPath, projectPath, conflictStrategy) {
+  const result = { backupPath: null, skippedFiles: [], overwrittenFiles: [] };
+
+  if (await fs.pathExists(projectPath)) {
+    switch (conflictStrategy) {
+      case 'abort':
+        throw new Error(`Directory "${projectPath}" already exists`);
+      case 'overwrite':
+        // Only the generated paths are replaced; .git, .env and anything
+        // else the template does not produce stay as they are
+        logger.warning(`Overwriting generated files in existing directory "${projectPath}"...`);
+        break;
+      case 'backup': {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        result.backupPath = `${projectPath}.backup-${timestamp}`;
+        logger.info(`Backing up existing directory to "${result.backupPath}"...`);
+        await fs.move(projectPath, result.backupPath);
+        break;
+      }
+      case 'merge':
+        logger.info(`Merging into existing directory "${projectPath}" without overwriting files...`);
+        break;
+    }
+  }
+
+  const files = await glob('**/*', { cwd: stagingPath, nodir: true, dot: true });
+
+  for (const file of files) {
+    const targetPath = path.join(projectPath, file);
+
+    if (await fs.pathExists(targetPath)) {
+      if (conflictStrategy !== 'overwrite') {
+        result.skippedFiles.push(file);
+        continue;
+      }
+      await fs.remove(targetPath);
+      result.overwrittenFiles.push(file);
+    }
+
+    await fs.copy(path.join(stagingPath, file), targetPath);
+  }
+
+  if (result.skippedFiles.length > 0) {
+    logger.warning(`Kept ${result.skippedFiles.length} existing file(s): ${result.skippedFiles.join(', ')}`);
+  }
+
+  if (result.overwrittenFiles.length > 0) {
+    logger.warning(`Overwrote ${result.overwrittenFiles.length} existing file(s): ${result.overwrittenFiles.join(', ')}`);
+  }
+
+  return result;
+}
+
+async function createPackageJson(details, targetDir) {
+  const featureChanges = await featureRegistry.getPackageChanges(details.features, details);
+  const entry = await findEntryFile(details.framework, targetDir);
+
   const packageJson = {
     name: details.name,
     version: '1.0.0',
-    description: `A ${details.framework} project generated with CodeGen CLI`,
+    description: details.description || `A ${details.framework} project generated with CodeGen CLI`,
     main: 'index.js',
-    scripts: getScriptsForFramework(details.framework, details.features),
-    dependencies: getDependenciesForFramework(details.framework, details.features),
-    devDependencies: getDevDependenciesForFramework(details.framework, details.features),
+    scripts: { ...getScriptsForFramework(details.framework, entry), ...featureChanges.scripts },
+    dependencies: { ...getDependenciesForFramework(details.framework), ...featureChanges.dependencies },
+    devDependencies: { ...getDevDependenciesForFramework(details.framework, entry), ...featureChanges.devDependencies },
     private: true
   };
 
-  await fs.writeJson(path.join(details.projectPath, 'package.json'), packageJson, { spaces: 2 });
+  await fs.writeJson(path.join(targetDir, 'package.json'), packageJson, { spaces: 2 });
 }
 
-function getScriptsForFramework(framework, features) {
+// Server templates may be written in TypeScript whichever features were
+// picked, so the scripts run the entry file the template actually has
+async function findEntryFile(framework, targetDir) {
+  if (framework !== 'express') {
+    return 'index.js';
+  }
+
+  const hasJs = await fs.pathExists(path.join(targetDir, 'index.js'));
+  return !hasJs && await fs.pathExists(path.join(targetDir, 'index.ts')) ? 'index.ts' : 'index.js';
+}
+
+function getScriptsForFramework(framework, entry = 'index.js') {
   const baseScripts = {
     react: {
       dev: 'vite',
@@ -250,27 +666,18 @@ function getScriptsForFramework(framework, features) {
       preview: 'vite preview'
     },
     express: {
-      start: 'node index.js',
-      dev: 'nodemon index.js'
+      start: `${entry.endsWith('.ts') ? 'ts-node' : 'node'} ${entry}`,
+      dev: `nodemon ${entry}`
+    },
+    vanilla: {
+      start: 'serve .'
     }
   };
 
-  let scripts = baseScripts[framework] || { start: 'node index.js' };
-
-  if (features.includes('eslint')) {
-    scripts.lint = 'eslint . --ext .js,.jsx,.ts,.tsx';
-    scripts['lint:fix'] = 'eslint . --ext .js,.jsx,.ts,.tsx --fix';
-  }
-
-  if (features.includes('jest')) {
-    scripts.test = 'jest';
-    scripts['test:watch'] = 'jest --watch';
-  }
-
-  return scripts;
+  return baseScripts[framework] || { start: 'node index.js' };
 }
 
-function getDependenciesForFramework(framework, features) {
+function getDependenciesForFramework(framework) {
   const baseDependencies = {
     react: { react: '^18.2.0', 'react-dom': '^18.2.0' },
     vue: { vue: '^3.3.0' },
@@ -278,51 +685,100 @@ function getDependenciesForFramework(framework, features) {
     vanilla: {}
   };
 
-  let dependencies = { ...(baseDependencies[framework] || {}) };
-
-  if (features.includes('tailwind')) {
-    dependencies.tailwindcss = '^3.3.0';
-  }
-
-  return dependencies;
+  return { ...(baseDependencies[framework] || {}) };
 }
 
-function getDevDependenciesForFramework(framework, features) {
+function getDevDependenciesForFramework(framework, entry = 'index.js') {
   let devDependencies = {};
 
   if (['react', 'vue'].includes(framework)) {
     devDependencies.vite = '^4.4.0';
   }
 
-  if (features.includes('typescript')) {
-    devDependencies.typescript = '^5.0.0';
-    if (framework === 'react') {
-      devDependencies['@types/react'] = '^18.2.0';
-      devDependencies['@types/react-dom'] = '^18.2.0';
+  if (framework === 'vanilla') {
+    devDependencies.serve = '^14.2.0';
+  }
+
+  if (framework === 'express') {
+    devDependencies.nodemon = '^3.0.0';
+
+    if (entry.endsWith('.ts')) {
+      devDependencies.typescript = '^5.0.0';
+      devDependencies['ts-node'] = '^10.9.0';
+      devDependencies['@types/express'] = '^4.17.0';
+      devDependencies['@types/node'] = '^20.0.0';
     }
   }
 
-  if (features.includes('eslint')) {
-    devDependencies.eslint = '^8.45.0';
+  return devDependencies;
+}
+
+async function initializeGit(details) {
+  const git = new Git(details.projectPath);
+
+  if (await git.isRepository()) {
+    logger.info('Project directory is already a git repository, skipping git init.');
+    return false;
   }
 
-  if (features.includes('prettier')) {
-    devDependencies.prettier = '^3.0.0';
+  const configData = await config.getConfig();
+
+  // A failed git step leaves a usable project behind, so only warn
+  let initialized = false;
+  try {
+    logger.info('Initializing git repository...');
+    await git.init();
+    initialized = true;
+    await git.commitAll('Initial commit from CodeGen CLI', {
+      name: configData.defaultAuthor,
+      email: configData.defaultEmail
+    });
+    logger.success('Created initial commit');
+    return true;
+  } catch (error) {
+    const gitOutput = error.output?.trim();
+    logger.warning(`Git initialization failed: ${error.message}${gitOutput ? `\n${gitOutput}` : ''}`);
+
+    // Do not leave a repository without commits behind
+    if (initialized) {
+      await fs.remove(path.join(details.projectPath, '.git'));
+      logger.warning('Removed the new .git directory; run `git init` once git can commit.');
+    }
+
+    if (!configData.defaultAuthor || !configData.defaultEmail) {
+      logger.warning('Set a default author and email with `codegen config` or configure git user.name/user.email.');
+    }
+    return false;
   }
+}
+
+async function installDependencies(details, options = {}) {
+  const configData = await config.getConfig();
 
-  if (features.includes('jest')) {
-    devDependencies.jest = '^29.6.0';
+  if (options.skipInstall || configData.autoInstallDependencies === false) {
+    logger.info(`Skipping dependency installation. Run '${details.packageManager} install' in the project directory.`);
+    return false;
   }
 
-  return devDependencies;
-}
+  logger.info(`Installing dependencies with ${details.packageManager}${options.offline ? ' (offline)' : ''}...`);
 
-async function installDependencies(details) {
-  // For web interface, we'll skip actual installation but provide feedback
-  logger.info(`Dependencies will be installed when you run '${details.packageManager} install' in the project directory.`);
-  
-  // Simulate a brief delay for UX
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  const packageManager = new PackageManager(details.packageManager);
+
+  try {
+    await packageManager.install(details.projectPath, {
+      offline: options.offline,
+      onOutput: (line) => {
+        logger.log(chalk.gray(`  ${line}`));
+        options.onOutput?.(line);
+      }
+    });
+  } catch (error) {
+    error.message = `${error.message}. The project files were written; run '${details.packageManager} install' in ${details.projectPath} to retry.`;
+    throw error;
+  }
+
+  logger.success('Dependencies installed');
+  return true;
 }
 
 function showSuccessMessage(details) {
@@ -0,0 +1,48 @@
+import chalk from 'chalk';
+import { Logger } from '../utils/logger.js';
+import { findProjectManifest, PROJECT_MANIFEST_FILE } from '../utils/project-manifest.js';
+
+const logger = new Logger();
+
+export async function showProjectInfo(options = {}) {
+  let found;
+  try {
+    found = await findProjectManifest(options.cwd);
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+
+  if (!found) {
+    const error = new Error(`No ${PROJECT_MANIFEST_FILE} found. This project was not generated by CodeGen CLI, or predates project manifests.`);
+    logger.error(error.message);
+    throw error;
+  }
+
+  const { projectPath, manifest } = found;
+
+  if (options.json) {
+    console.log(JSON.stringify(manifest, null, 2));
+    return found;
+  }
+
+  const template = manifest.template || {};
+  const variables = Object.entries(manifest.variables || {});
+
+  console.log('\n' + chalk.bold.cyan(`📦 ${manifest.name}`) + '\n');
+
+  const details = `
+${chalk.bold('Path:')} ${projectPath}
+${chalk.bold('Description:')} ${manifest.description || 'No description'}
+${chalk.bold('Framework:')} ${manifest.framework}
+${chalk.bold('Template:')} ${template.name}@${template.version}${template.inherits ? chalk.gray(` (extends ${[...template.inherits].reverse().join(' → ')})`) : ''}${template.source ? chalk.gray(` from ${template.source}`) : ''}
+${chalk.bold('Features:')} ${manifest.features?.join(', ') || 'None'}
+${chalk.bold('Package Manager:')} ${manifest.packageManager}
+${chalk.bold('Generated:')} ${manifest.generatedAt || 'Unknown'} ${chalk.gray(`with ${manifest.generator?.name || 'codegen-cli'} ${manifest.generator?.version || ''}`.trim())}${variables.length > 0 ? `
+${chalk.bold('Variables:')}
+${variables.map(([name, value]) => `  ${chalk.gray(`${name}:`)} ${JSON.stringify(value)}`).join('\n')}` : ''}
+  `;
+
+  console.log(details);
+  return found;
+}
@@ -4,6 +4,8 @@ import * as emoji from 'node-emoji';
 import { generateProject } from './generate.js';
 import { manageTemplates } from './templates.js';
 import { configureSettings } from './settings.js';
+import { promptAddToProject } from './add.js';
+import { promptAddFeature } from './feature.js';
 import { Logger } from '../utils/logger.js';
 
 const logger = new Logger();
@@ -24,6 +26,10 @@ export async function showMainMenu() {
             name: `${emoji.get('building_construction')} Add components/modules`,
             value: 'add'
           },
+          {
+            name: `${emoji.get('package')} Add a feature to a project`,
+            value: 'feature'
+          },
           {
             name: `${emoji.get('gear')} Manage templates`,
             value: 'templates'
@@ -37,7 +43,7 @@ export async function showMainMenu() {
             value: 'exit'
           }
         ],
-        pageSize: 6
+        pageSize: 7
       }
     ]);
 
@@ -46,7 +52,10 @@ export async function showMainMenu() {
         await generateProject();
         break;
       case 'add':
-        await addComponents();
+        await promptAddToProject();
+        break;
+      case 'feature':
+        await promptAddFeature();
         break;
       case 'templates':
         await manageTemplates();
@@ -86,26 +95,3 @@ export async function showMainMenu() {
     logger.error('An error occurred in the main menu:', error.message);
   }
 }
-
-async function addComponents() {
-  logger.info('🔧 Component/Module addition feature coming soon!');
-  
-  const { componentType } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'componentType',
-      message: 'What would you like to add?',
-      choices: [
-        'React Component',
-        'Vue Component',
-        'Angular Component',
-        'Service/Utility',
-        'Test File',
-        'Documentation'
-      ]
-    }
-  ]);
-
-  logger.info(`Selected: ${componentType}`);
-  logger.warning('This feature is under development. Stay tuned!');
-}
\ No newline at end of file
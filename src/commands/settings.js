@@ -133,6 +133,18 @@ async function configureTemplates() {
       message: 'Custom templates directory:',
       default: currentConfig.templatesDirectory || './templates'
     },
+    {
+      type: 'input',
+      name: 'pluginsDirectory',
+      message: 'Feature plugins directory:',
+      default: currentConfig.pluginsDirectory || ''
+    },
+    {
+      type: 'input',
+      name: 'templateRegistry',
+      message: 'Template registry (directory or URL of index.json, leave empty for none):',
+      default: currentConfig.templateRegistry || ''
+    },
     {
       type: 'confirm',
       name: 'autoUpdateTemplates',
@@ -214,6 +226,24 @@ async function configureDevelopmentEnvironment() {
       name: 'generateGitignore',
       message: 'Generate .gitignore files automatically?',
       default: currentConfig.generateGitignore !== false
+    },
+    {
+      type: 'input',
+      name: 'outputDirectory',
+      message: 'Output directory for new projects (empty for current directory):',
+      default: currentConfig.outputDirectory || ''
+    },
+    {
+      type: 'list',
+      name: 'conflictStrategy',
+      message: 'When the project directory already exists:',
+      choices: [
+        { name: 'Abort', value: 'abort' },
+        { name: 'Merge without overwriting existing files', value: 'merge' },
+        { name: 'Overwrite generated files', value: 'overwrite' },
+        { name: 'Back up, then overwrite', value: 'backup' }
+      ],
+      default: currentConfig.conflictStrategy || 'abort'
     }
   ]);
 
@@ -236,6 +266,8 @@ ${chalk.bold('General:')}
 
 ${chalk.bold('Templates:')}
   ${chalk.gray('Templates Directory:')} ${currentConfig.templatesDirectory || './templates'}
+  ${chalk.gray('Feature Plugins Directory:')} ${currentConfig.pluginsDirectory || 'Not set'}
+  ${chalk.gray('Template Registry:')} ${currentConfig.templateRegistry || 'Not set'}
   ${chalk.gray('Auto-update Templates:')} ${currentConfig.autoUpdateTemplates !== false ? 'Yes' : 'No'}
   ${chalk.gray('Default Framework:')} ${currentConfig.defaultFramework || 'react'}
 
@@ -249,6 +281,8 @@ ${chalk.bold('Development Environment:')}
   ${chalk.gray('Open in Editor:')} ${currentConfig.openInEditor !== false ? 'Yes' : 'No'}
   ${chalk.gray('Terminal Shell:')} ${currentConfig.terminalShell || 'bash'}
   ${chalk.gray('Generate .gitignore:')} ${currentConfig.generateGitignore !== false ? 'Yes' : 'No'}
+  ${chalk.gray('Output Directory:')} ${currentConfig.outputDirectory || 'Current directory'}
+  ${chalk.gray('On Conflict:')} ${currentConfig.conflictStrategy || 'abort'}
   `;
 
   console.log(configDisplay);
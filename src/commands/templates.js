@@ -1,12 +1,20 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import path from 'path';
+import fs from 'fs-extra';
 import * as emoji from 'node-emoji';
 import { Logger } from '../utils/logger.js';
-import { TemplateManager } from '../utils/templates.js';
+import { ConfigManager } from '../utils/config.js';
+import { openInEditor } from '../utils/process.js';
+import { TemplateManager, EXPORT_FORMATS, parseTemplateSpecifier } from '../utils/templates.js';
+import { TemplateRegistry } from '../utils/registry.js';
+import { FeatureRegistry } from '../utils/feature-registry.js';
 
 const logger = new Logger();
 const templateManager = new TemplateManager();
+const config = new ConfigManager();
+const featureRegistry = new FeatureRegistry();
 
 export async function manageTemplates() {
   try {
@@ -38,6 +46,14 @@ export async function manageTemplates() {
             name: `${emoji.get('outbox_tray')} Export template`,
             value: 'export'
           },
+          {
+            name: `${emoji.get('wastebasket')} Delete template`,
+            value: 'delete'
+          },
+          {
+            name: `${emoji.get('recycle')} Restore built-in templates`,
+            value: 'restore'
+          },
           {
             name: `${emoji.get('leftwards_arrow_with_hook')} Back to main menu`,
             value: 'back'
@@ -57,10 +73,16 @@ export async function manageTemplates() {
         await modifyTemplate();
         break;
       case 'import':
-        await importTemplate();
+        await promptImportTemplate();
         break;
       case 'export':
-        await exportTemplate();
+        await promptExportTemplate();
+        break;
+      case 'delete':
+        await promptDeleteTemplate();
+        break;
+      case 'restore':
+        await restoreTemplates();
         break;
       case 'back':
         return;
@@ -119,15 +141,113 @@ async function viewTemplates() {
   }
 }
 
+export async function listTemplates(options = {}) {
+  let templates;
+  try {
+    templates = await templateManager.findTemplatesForFramework(options.framework);
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+
+  if (templates.length === 0) {
+    logger.warning(options.framework
+      ? `No templates found for framework "${options.framework}".`
+      : 'No templates found.');
+    return templates;
+  }
+
+  console.log(chalk.bold(`\n📋 Available Templates${options.framework ? ` for ${options.framework}` : ''}:\n`));
+
+  templates.forEach(template => {
+    const defaultMarker = template.default ? chalk.green(' (default)') : '';
+    console.log(`  ${chalk.cyan(template.name)}${defaultMarker} ${chalk.gray(`[${template.framework}] v${template.version || '1.0.0'}`)}`);
+    if (template.description) {
+      console.log(`    ${chalk.gray(template.description)}`);
+    }
+  });
+  console.log('');
+
+  return templates;
+}
+
+export async function listTemplateVersions(name) {
+  let versions;
+  try {
+    versions = await templateManager.listTemplateVersions(name);
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+
+  if (versions.length === 0) {
+    logger.warning(`Template "${name}" is not installed.`);
+    return versions;
+  }
+
+  console.log(chalk.bold(`\n📋 Installed versions of ${name}:\n`));
+
+  versions.forEach((template, index) => {
+    const latest = index === 0 ? chalk.green(' (latest)') : '';
+    console.log(`  ${chalk.cyan(template.version || '1.0.0')}${latest} ${chalk.gray(template.path)}`);
+  });
+  console.log('');
+
+  return versions;
+}
+
+export async function lintTemplates(target, options = {}) {
+  let templates;
+  try {
+    templates = await templateManager.findTemplatesToLint(target);
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+
+  if (templates.length === 0) {
+    logger.warning('No templates found.');
+    return { errors: 0, warnings: 0 };
+  }
+
+  let errorCount = 0;
+  let warningCount = 0;
+
+  for (const template of templates) {
+    const { errors, warnings } = await templateManager.lintTemplate(template);
+    errorCount += errors.length;
+    warningCount += warnings.length;
+
+    const label = `${template.name}@${template.version || '1.0.0'}`;
+    if (errors.length === 0 && warnings.length === 0) {
+      console.log(`${chalk.green('✔')} ${label} ${chalk.gray('no problems')}`);
+      continue;
+    }
+
+    console.log(`\n${chalk.bold(label)} ${chalk.gray(template.path)}`);
+    const format = ({ file, line, message }) => `${chalk.gray(`${file}${line ? `:${line}` : ''}`)} ${message}`;
+    errors.forEach(problem => console.log(`  ${chalk.red('✖')} ${format(problem)}`));
+    warnings.forEach(problem => console.log(`  ${chalk.yellow('⚠')} ${format(problem)}`));
+  }
+
+  console.log(`\n${errorCount} error(s), ${warningCount} warning(s)\n`);
+
+  if (errorCount > 0 || (options.strict && warningCount > 0)) {
+    throw new Error(`Template lint failed with ${errorCount} error(s) and ${warningCount} warning(s)`);
+  }
+
+  return { errors: errorCount, warnings: warningCount };
+}
+
 async function showTemplateDetails(template) {
   console.log('\n' + chalk.bold.cyan(`📄 Template: ${template.name}`) + '\n');
   
   const details = `
 ${chalk.bold('Framework:')} ${template.framework}
-${chalk.bold('Version:')} ${template.version || '1.0.0'}
+${chalk.bold('Version:')} ${template.version || '1.0.0'}${template.versions?.length > 1 ? chalk.gray(` (installed: ${template.versions.join(', ')})`) : ''}
 ${chalk.bold('Description:')} ${template.description || 'No description'}
 ${chalk.bold('Author:')} ${template.author || 'Unknown'}
-${chalk.bold('Features:')} ${template.features?.join(', ') || 'None'}
+${template.extends ? `${chalk.bold('Extends:')} ${template.extends}\n` : ''}${chalk.bold('Features:')} ${template.features?.join(', ') || 'None'}
 ${chalk.bold('Created:')} ${template.createdAt || 'Unknown'}
 ${chalk.bold('Files:')} ${template.files?.length || 0} files
   `;
@@ -183,16 +303,7 @@ async function createTemplate() {
       type: 'checkbox',
       name: 'features',
       message: 'Default features:',
-      choices: [
-        'typescript',
-        'eslint',
-        'prettier',
-        'jest',
-        'tailwind',
-        'sass',
-        'pwa',
-        'docker'
-      ]
+      choices: (await featureRegistry.list()).map(feature => feature.name)
     }
   ]);
 
@@ -242,35 +353,585 @@ async function modifyTemplate() {
       }
     ]);
 
+    if (modifications.length === 0) {
+      logger.info('Nothing to modify.');
+      return;
+    }
+
     logger.info(`Modifying template: ${selectedTemplate.name}`);
-    logger.warning('Template modification feature is under development.');
+
+    const changes = [];
+    const { name } = selectedTemplate;
+    // Changes are made in place; a version bump restores this as the old version
+    const snapshotPath = await templateManager.snapshotTemplate(name);
+
+    try {
+      // Each step re-reads the template so it sees earlier changes
+      if (modifications.includes('Description')) {
+        changes.push(...await modifyDescription(await templateManager.requireTemplate(name)));
+      }
+      if (modifications.includes('Features')) {
+        changes.push(...await modifyFeatures(await templateManager.requireTemplate(name)));
+      }
+      if (modifications.includes('Files')) {
+        changes.push(...await modifyFiles(await templateManager.requireTemplate(name)));
+      }
+      if (modifications.includes('Configuration')) {
+        changes.push(...await modifyConfiguration(await templateManager.requireTemplate(name)));
+      }
+
+      if (changes.length === 0) {
+        logger.info('No changes were made.');
+        return;
+      }
+
+      await recordTemplateVersion(name, changes, snapshotPath);
+    } finally {
+      await fs.remove(snapshotPath);
+    }
 
   } catch (error) {
-    spinner.fail('Failed to load templates');
+    spinner.stop();
+    if (error.name === 'ExitPromptError') {
+      return;
+    }
     logger.error(error.message);
   }
 }
 
-async function importTemplate() {
+async function modifyDescription(template) {
+  const updates = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'description',
+      message: 'Template description:',
+      default: template.description || ''
+    },
+    {
+      type: 'input',
+      name: 'author',
+      message: 'Author name:',
+      default: template.author || ''
+    }
+  ]);
+
+  if (updates.description === (template.description || '') && updates.author === (template.author || '')) {
+    return [];
+  }
+
+  await templateManager.updateManifest(template.name, updates);
+  logger.success('Template metadata updated.');
+  return ['Updated description'];
+}
+
+async function modifyFeatures(template) {
+  const current = template.features || [];
+
+  const { features } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'features',
+      message: 'Default features:',
+      choices: (await featureRegistry.list()).map(({ name }) => ({ name, value: name, checked: current.includes(name) }))
+    }
+  ]);
+
+  const added = features.filter(feature => !current.includes(feature));
+  const removed = current.filter(feature => !features.includes(feature));
+
+  if (added.length === 0 && removed.length === 0) {
+    return [];
+  }
+
+  const spinner = ora('Regenerating affected files...').start();
+  const result = await templateManager.setTemplateFeatures(template.name, features);
+  spinner.succeed('Features updated.');
+
+  result.added.forEach(file => console.log(`  ${chalk.green('+')} ${file}`));
+  result.updated.forEach(file => console.log(`  ${chalk.yellow('~')} ${file}`));
+  result.removed.forEach(file => console.log(`  ${chalk.red('-')} ${file}`));
+  if (result.kept.length > 0) {
+    logger.warning(`Left edited files untouched: ${result.kept.join(', ')}`);
+  }
+
+  return [
+    ...added.map(feature => `Added feature ${feature}`),
+    ...removed.map(feature => `Removed feature ${feature}`)
+  ];
+}
+
+async function modifyFiles(template) {
+  const changes = [];
+  const configData = await config.getConfig();
+
+  while (true) {
+    const files = await templateManager.getTemplateFiles(template.path);
+
+    const { fileAction } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'fileAction',
+        message: 'File changes:',
+        choices: [
+          { name: 'Add a file', value: 'add' },
+          { name: 'Edit a file', value: 'edit', disabled: files.length === 0 },
+          { name: 'Rename a file', value: 'rename', disabled: files.length === 0 },
+          { name: 'Remove a file', value: 'remove', disabled: files.length === 0 },
+          { name: 'Done', value: 'done' }
+        ]
+      }
+    ]);
+
+    if (fileAction === 'done') {
+      return changes;
+    }
+
+    if (fileAction === 'add') {
+      const { filePath } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'filePath',
+          message: 'New file path (placeholders like {{componentName}} are allowed):',
+          validate: input => input.trim() ? true : 'A file path is required'
+        }
+      ]);
+
+      const absolutePath = await templateManager.addTemplateFile(template.name, filePath.trim());
+      await editFile(absolutePath, configData.preferredEditor);
+      changes.push(`Added ${filePath.trim()}`);
+      continue;
+    }
+
+    const { file } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'file',
+        message: 'Select a file:',
+        choices: files
+      }
+    ]);
+
+    if (fileAction === 'edit') {
+      await editFile(templateManager.resolveTemplateFile(template, file), configData.preferredEditor);
+      changes.push(`Edited ${file}`);
+    } else if (fileAction === 'rename') {
+      const { newPath } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'newPath',
+          message: 'New path:',
+          default: file,
+          validate: input => input.trim() ? true : 'A file path is required'
+        }
+      ]);
+
+      if (newPath.trim() !== file) {
+        await templateManager.renameTemplateFile(template.name, file, newPath.trim());
+        changes.push(`Renamed ${file} to ${newPath.trim()}`);
+      }
+    } else if (fileAction === 'remove') {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: `Remove ${file}?`,
+          default: false
+        }
+      ]);
+
+      if (confirm) {
+        await templateManager.removeTemplateFile(template.name, file);
+        changes.push(`Removed ${file}`);
+      }
+    }
+  }
+}
+
+async function editFile(filePath, preferredEditor) {
+  try {
+    await openInEditor(filePath, preferredEditor);
+  } catch (error) {
+    logger.warning(`${error.message}. Edit ${filePath} manually.`);
+  }
+}
+
+async function modifyConfiguration(template) {
+  const configData = await config.getConfig();
+  const manifestPath = path.join(template.path, 'template.json');
+  const original = await fs.readFile(manifestPath, 'utf-8');
+
+  logger.info('Opening template.json in your editor...');
+  await editFile(manifestPath, configData.preferredEditor);
+
+  const edited = await fs.readFile(manifestPath, 'utf-8');
+  if (edited === original) {
+    return [];
+  }
+
+  // Keep the previous manifest when the edit leaves it unusable
+  let manifest;
+  try {
+    manifest = JSON.parse(edited);
+  } catch (error) {
+    await fs.writeFile(manifestPath, original);
+    throw new Error(`template.json is not valid JSON, changes reverted: ${error.message}`);
+  }
+
+  const errors = templateManager.validateManifest(manifest);
+  if (errors.length > 0 || manifest.name !== template.name) {
+    await fs.writeFile(manifestPath, original);
+    throw new Error(`Invalid template.json, changes reverted:\n  - ${
+      (errors.length > 0 ? errors : ['name: cannot be changed']).join('\n  - ')}`);
+  }
+
+  logger.success('Template configuration updated.');
+  return ['Updated configuration'];
+}
+
+async function recordTemplateVersion(name, changes, previousPath) {
+  const template = await templateManager.requireTemplate(name);
+
+  const { release } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'release',
+      message: `Bump version (currently ${template.version || '1.0.0'}):`,
+      choices: [
+        { name: 'Patch', value: 'patch' },
+        { name: 'Minor', value: 'minor' },
+        { name: 'Major', value: 'major' },
+        { name: 'Keep current version', value: 'none' }
+      ],
+      default: 'patch'
+    }
+  ]);
+
+  if (release === 'none') {
+    return;
+  }
+
+  const { summary } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'summary',
+      message: 'Changelog entry:',
+      default: changes.join('; ')
+    }
+  ]);
+
+  const manifest = await templateManager.bumpTemplateVersion(name, release, summary, { previousPath });
+  logger.success(`Template "${name}" is now at version ${manifest.version}; ${template.version || '1.0.0'} is kept alongside it.`);
+}
+
+export async function deleteTemplate(name, options = {}) {
+  const template = await templateManager.getTemplate(name);
+
+  if (!template) {
+    const error = new Error(`Template "${name}" not found`);
+    logger.error(error.message);
+    throw error;
+  }
+
+  if (templateManager.isBuiltinTemplate(template.name) && !options.force) {
+    const error = new Error(`"${template.name}" is a built-in template. Use --force to delete it.`);
+    logger.error(error.message);
+    throw error;
+  }
+
+  const dependents = (await templateManager.listTemplates())
+    .filter(t => t.extends && parseTemplateSpecifier(t.extends).name === template.name)
+    .map(t => t.name);
+  if (dependents.length > 0) {
+    logger.warning(`These templates extend "${template.name}" and will stop working: ${dependents.join(', ')}`);
+  }
+
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      const error = new Error('Pass --yes to delete a template when not running interactively.');
+      logger.error(error.message);
+      throw error;
+    }
+
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Delete template "${name}"${name === template.name ? ' (all versions)' : ''} and all of its files?`,
+        default: false
+      }
+    ]);
+
+    if (!confirm) {
+      logger.info('Deletion cancelled.');
+      return false;
+    }
+  }
+
+  await templateManager.deleteTemplate(name, options);
+  logger.success(`Template "${name}" deleted.`);
+  return true;
+}
+
+async function promptDeleteTemplate() {
+  const templates = await templateManager.listTemplates();
+
+  if (templates.length === 0) {
+    logger.warning('No templates found to delete.');
+    return;
+  }
+
+  const { selectedTemplate } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'selectedTemplate',
+      message: 'Select template to delete:',
+      choices: templates.map(t => ({
+        name: templateManager.isBuiltinTemplate(t.name) ? `${t.name} ${chalk.gray('(built-in)')}` : t.name,
+        value: t.name
+      }))
+    }
+  ]);
+
+  // Picking a built-in from the menu is explicit enough; still confirm below
+  try {
+    await deleteTemplate(selectedTemplate, { force: true });
+  } catch (error) {
+    // Already reported
+  }
+}
+
+export async function restoreTemplates(options = {}) {
+  let created;
+  try {
+    created = await templateManager.createDefaultTemplates({ overwrite: options.force });
+  } catch (error) {
+    logger.error(`Failed to restore built-in templates: ${error.message}`);
+    throw error;
+  }
+
+  if (created.length === 0) {
+    logger.info('All built-in templates are already installed. Use --force to reset them.');
+  } else {
+    logger.success(`Restored built-in templates: ${created.join(', ')}`);
+  }
+
+  return created;
+}
+
+export async function importTemplate(source, options = {}) {
+  const spinner = ora(`Importing template from ${source}...`).start();
+
+  try {
+    const template = await templateManager.importTemplate(source, options);
+    spinner.succeed(chalk.green(`Template "${template.name}" imported successfully!`));
+    return template;
+  } catch (error) {
+    spinner.fail('Failed to import template');
+    logger.error(error.message);
+    throw error;
+  }
+}
+
+async function getRegistry(options = {}) {
+  const configData = await config.getConfig();
+  return new TemplateRegistry(options.registry || configData.templateRegistry, { templateManager });
+}
+
+export async function searchTemplates(term = '', options = {}) {
+  const spinner = ora('Searching the template registry...').start();
+
+  try {
+    const results = await (await getRegistry(options)).search(term);
+    spinner.stop();
+
+    if (results.length === 0) {
+      logger.warning(term ? `No registry templates match "${term}".` : 'The registry has no templates.');
+      return results;
+    }
+
+    const installed = await templateManager.listTemplates();
+
+    console.log(chalk.bold(`\n🔎 Registry templates${term ? ` matching "${term}"` : ''}:\n`));
+
+    results.forEach(result => {
+      const local = installed.find(t => t.name === result.name);
+      const marker = local ? chalk.green(` (installed v${local.version || '1.0.0'})`) : '';
+      console.log(`  ${chalk.cyan(result.name)}${marker} ${chalk.gray(`[${result.framework || 'any'}] v${result.latest || '?'}`)}`);
+      if (result.description) {
+        console.log(`    ${chalk.gray(result.description)}`);
+      }
+    });
+    console.log('');
+
+    return results;
+  } catch (error) {
+    spinner.fail('Failed to search the template registry');
+    logger.error(error.message);
+    throw error;
+  }
+}
+
+export async function installTemplate(specifier, options = {}) {
+  const spinner = ora(`Installing ${specifier} from the template registry...`).start();
+
+  try {
+    const template = await (await getRegistry(options)).install(specifier, options);
+    spinner.succeed(chalk.green(`Template "${template.name}" v${template.version || '1.0.0'} installed successfully!`));
+    return template;
+  } catch (error) {
+    spinner.fail('Failed to install template');
+    logger.error(error.message);
+    throw error;
+  }
+}
+
+export async function updateTemplates(names = [], options = {}) {
+  const spinner = ora('Checking the template registry for updates...').start();
+
+  try {
+    const registry = await getRegistry(options);
+
+    if (options.check) {
+      const updates = await registry.checkForUpdates(names);
+      spinner.stop();
+      if (updates.length === 0) {
+        logger.info('All registry templates are up to date.');
+      }
+      updates.forEach(update => {
+        console.log(`  ${chalk.cyan(update.name)} ${chalk.gray(update.current)} → ${chalk.green(update.latest)}`);
+      });
+      return updates;
+    }
+
+    const updates = await registry.update(names);
+
+    if (updates.length === 0) {
+      spinner.succeed('All registry templates are up to date.');
+    } else {
+      spinner.succeed(chalk.green(`Updated ${updates.map(u => `${u.name} (${u.current} → ${u.latest})`).join(', ')}`));
+    }
+
+    return updates;
+  } catch (error) {
+    spinner.fail('Failed to update templates');
+    logger.error(error.message);
+    throw error;
+  }
+}
+
+async function promptRegistryInstall() {
+  const configData = await config.getConfig();
+
+  const { registry, term } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'registry',
+      message: 'Registry (directory or URL of index.json):',
+      default: configData.templateRegistry || undefined,
+      validate: input => input.trim() ? true : 'A registry is required'
+    },
+    {
+      type: 'input',
+      name: 'term',
+      message: 'Search for (leave empty to list everything):'
+    }
+  ]);
+
+  try {
+    const results = await searchTemplates(term, { registry: registry.trim() });
+    if (results.length === 0) {
+      return;
+    }
+
+    const { name, force } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'name',
+        message: 'Template to install:',
+        choices: results.map(result => ({
+          name: `${result.name} v${result.latest} - ${result.description}`,
+          value: result.name
+        }))
+      },
+      {
+        type: 'confirm',
+        name: 'force',
+        message: 'Replace the installed version if it already exists?',
+        default: false
+      }
+    ]);
+
+    await installTemplate(name, { registry: registry.trim(), force });
+  } catch (error) {
+    // Already reported
+  }
+}
+
+async function promptImportTemplate() {
   const { source } = await inquirer.prompt([
     {
       type: 'list',
       name: 'source',
       message: 'Import template from:',
       choices: [
-        'Local file',
-        'GitHub repository',
-        'URL',
-        'Template registry'
+        { name: 'Local folder', value: 'folder' },
+        { name: 'Archive file (.zip, .tar.gz)', value: 'archive' },
+        { name: 'Git repository (path or URL)', value: 'git' },
+        { name: 'Archive URL', value: 'url' },
+        { name: 'Template registry', value: 'registry' }
       ]
     }
   ]);
 
-  logger.info(`Import from: ${source}`);
-  logger.warning('Template import feature is under development.');
+  if (source === 'registry') {
+    await promptRegistryInstall();
+    return;
+  }
+
+  const messages = {
+    folder: 'Path to the template folder:',
+    archive: 'Path to the archive:',
+    git: 'Repository path or URL:',
+    url: 'Archive URL (.zip or .tar.gz):'
+  };
+
+  const { location, force } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'location',
+      message: messages[source],
+      validate: input => input.trim() ? true : 'A location is required'
+    },
+    {
+      type: 'confirm',
+      name: 'force',
+      message: 'Replace an existing template with the same name?',
+      default: false
+    }
+  ]);
+
+  try {
+    await importTemplate(location.trim(), { force, git: source === 'git' });
+  } catch (error) {
+    // Already reported
+  }
+}
+
+export async function exportTemplate(name, options = {}) {
+  const spinner = ora(`Exporting template "${name}"...`).start();
+
+  try {
+    const outputPath = await templateManager.exportTemplate(name, options);
+    spinner.succeed(chalk.green(`Template "${name}" exported to ${outputPath}`));
+    return outputPath;
+  } catch (error) {
+    spinner.fail('Failed to export template');
+    logger.error(error.message);
+    throw error;
+  }
 }
 
-async function exportTemplate() {
+async function promptExportTemplate() {
   const spinner = ora('Loading templates...').start();
   
   try {
@@ -297,19 +958,29 @@ async function exportTemplate() {
         name: 'exportFormat',
         message: 'Export format:',
         choices: [
-          'ZIP archive',
-          'TAR.GZ archive',
-          'JSON configuration',
-          'GitHub repository'
+          { name: 'ZIP archive', value: 'zip' },
+          { name: 'TAR.GZ archive', value: 'tar.gz' },
+          { name: 'JSON bundle (files inlined)', value: 'json' }
         ]
       }
     ]);
 
-    logger.info(`Exporting template: ${selectedTemplate.name} as ${exportFormat}`);
-    logger.warning('Template export feature is under development.');
+    const { output } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'output',
+        message: 'Output file:',
+        default: `${selectedTemplate.name}${EXPORT_FORMATS[exportFormat]}`
+      }
+    ]);
+
+    await exportTemplate(selectedTemplate.name, { format: exportFormat, output });
 
   } catch (error) {
-    spinner.fail('Failed to load templates');
+    spinner.stop();
+    if (error.name === 'ExitPromptError') {
+      return;
+    }
     logger.error(error.message);
   }
 }
\ No newline at end of file
@@ -0,0 +1,149 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import * as emoji from 'node-emoji';
+import { Logger } from '../utils/logger.js';
+import { TemplateManager } from '../utils/templates.js';
+import { ProjectUpdater } from '../utils/project-updater.js';
+import { findProjectManifest, writeProjectManifest, PROJECT_MANIFEST_FILE } from '../utils/project-manifest.js';
+import { buildProject } from './generate.js';
+
+const logger = new Logger();
+const templateManager = new TemplateManager();
+
+const ACTION_LABELS = {
+  add: chalk.green('add     '),
+  update: chalk.cyan('update  '),
+  merge: chalk.cyan('merge   '),
+  delete: chalk.red('delete  '),
+  conflict: chalk.yellow('conflict'),
+  skip: chalk.gray('skip    ')
+};
+
+export async function updateProject(options = {}) {
+  const found = await findProjectManifest(options.cwd);
+
+  if (!found) {
+    const error = new Error(`No ${PROJECT_MANIFEST_FILE} found. Only projects generated with a project manifest can be updated.`);
+    logger.error(error.message);
+    throw error;
+  }
+
+  const { projectPath, manifest } = found;
+  const current = manifest.template || {};
+  const workPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-'));
+  const spinner = ora(`Rendering template "${current.name}"...`).start();
+
+  try {
+    if (!current.name || !current.version) {
+      throw new Error(`${PROJECT_MANIFEST_FILE} does not record the template name and version this project was generated from`);
+    }
+
+    const fromSpecifier = `${current.name}@${current.version}`;
+    const toSpecifier = options.to ? `${current.name}@${options.to}` : current.name;
+
+    let fromTemplate;
+    try {
+      fromTemplate = await templateManager.resolveTemplate(manifest.framework, fromSpecifier);
+    } catch (error) {
+      throw new Error(`${error.message}. The version the project was generated from is needed to work out what changed; install it with: codegen templates install ${fromSpecifier}`);
+    }
+
+    const toTemplate = await templateManager.resolveTemplate(manifest.framework, toSpecifier);
+    const fromVersion = current.version;
+    const toVersion = toTemplate.version || '1.0.0';
+
+    if (fromVersion === toVersion && !options.force) {
+      spinner.succeed(`Already on ${current.name}@${toVersion}`);
+      return { projectPath, from: fromVersion, to: toVersion, changes: [] };
+    }
+
+    // Regenerate both versions from the recorded answers
+    const details = {
+      name: manifest.name,
+      description: manifest.description,
+      framework: manifest.framework,
+      features: manifest.features || [],
+      packageManager: manifest.packageManager,
+      variables: manifest.variables || {}
+    };
+
+    const basePath = path.join(workPath, 'base');
+    const nextPath = path.join(workPath, 'next');
+    await buildProject(details, basePath, fromTemplate, { quiet: true });
+    await buildProject(details, nextPath, toTemplate, { quiet: true });
+
+    spinner.text = 'Comparing template versions...';
+    const updater = new ProjectUpdater(projectPath);
+    const changes = await updater.plan(basePath, nextPath, {
+      labels: ['yours', `${current.name}@${fromVersion}`, `${current.name}@${toVersion}`]
+    });
+    spinner.stop();
+
+    const result = { projectPath, from: fromVersion, to: toVersion, changes };
+
+    console.log('\n' + chalk.bold.cyan(`${emoji.get('arrows_counterclockwise')} ${current.name} ${fromVersion} → ${toVersion}`) + '\n');
+    printChanges(changes);
+
+    if (options.dryRun) {
+      logger.info('Dry run complete. No files were written.');
+      return result;
+    }
+
+    await updater.apply(changes, { reject: options.reject });
+
+    await writeProjectManifest(projectPath, {
+      ...manifest,
+      template: {
+        ...current,
+        version: toVersion,
+        ...(toTemplate.inherits ? { inherits: toTemplate.inherits } : {})
+      },
+      updatedAt: new Date().toISOString()
+    });
+
+    const conflicts = changes.filter(change => change.action === 'conflict');
+    if (conflicts.length === 0) {
+      logger.success(`Updated "${manifest.name}" to ${current.name}@${toVersion}`);
+    } else {
+      logger.warning(`Updated "${manifest.name}" to ${current.name}@${toVersion} with ${conflicts.length} conflict(s)`);
+      conflicts.forEach(change => {
+        if (change.binary) {
+          logger.log(`  ${change.path}: binary file kept as is, compare it with the template by hand`);
+        } else if (options.reject) {
+          logger.log(`  ${change.path}: template change saved to ${change.path}.rej`);
+        } else {
+          logger.log(`  ${change.path}: resolve the conflict markers`);
+        }
+      });
+    }
+
+    return result;
+  } catch (error) {
+    spinner.fail('Failed to update project');
+    logger.error(error.message);
+    throw error;
+  } finally {
+    await fs.remove(workPath);
+  }
+}
+
+function printChanges(changes) {
+  if (changes.length === 0) {
+    logger.info('The template changes do not touch any files in this project.');
+    return;
+  }
+
+  changes.forEach(change => {
+    const note = change.reason || (change.binary ? 'binary file' : '');
+    console.log(`  ${ACTION_LABELS[change.action]} ${change.path}${note ? chalk.gray(` (${note})`) : ''}`);
+  });
+
+  const counts = Object.keys(ACTION_LABELS)
+    .map(action => [action, changes.filter(change => change.action === action).length])
+    .filter(([, count]) => count > 0)
+    .map(([action, count]) => `${count} ${action}`);
+  console.log(`\n  ${chalk.bold('Summary:')} ${counts.join(', ')}\n`);
+}
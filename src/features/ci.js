@@ -0,0 +1,273 @@
+import { PackageManager } from '../utils/package-manager.js';
+
+const NODE_VERSION = 20;
+const BUILD_SCRIPT_FRAMEWORKS = ['react', 'vue'];
+const PLAYWRIGHT_VERSION = '1.40.0';
+
+const LOCKFILES = {
+  npm: 'package-lock.json',
+  yarn: 'yarn.lock',
+  pnpm: 'pnpm-lock.yaml'
+};
+
+const INSTALL_COMMANDS = {
+  npm: 'npm ci',
+  yarn: 'yarn install --frozen-lockfile',
+  pnpm: 'pnpm install --frozen-lockfile'
+};
+
+const EXEC_COMMANDS = {
+  npm: 'npx',
+  yarn: 'yarn',
+  pnpm: 'pnpm exec'
+};
+
+// The steps a pipeline runs for the project's features, shared by every
+// provider so GitHub and GitLab pipelines stay in step
+function pipelineSteps(details) {
+  const features = details.features || [];
+  const packageManager = new PackageManager(details.packageManager || 'npm');
+  const steps = [];
+
+  if (features.includes('eslint')) {
+    steps.push({ id: 'lint', name: 'Lint', command: packageManager.getRunCommand('lint') });
+  }
+
+  if (features.includes('jest')) {
+    steps.push({ id: 'test', name: 'Test', command: packageManager.getRunCommand('test') });
+  }
+
+  if (features.includes('typescript')) {
+    steps.push(BUILD_SCRIPT_FRAMEWORKS.includes(details.framework)
+      ? { id: 'build', name: 'Build', command: packageManager.getRunCommand('build'), artifacts: 'dist/' }
+      : { id: 'build', name: 'Build', command: `${EXEC_COMMANDS[packageManager.name]} tsc --noEmit` });
+  }
+
+  return {
+    packageManager: packageManager.name,
+    install: INSTALL_COMMANDS[packageManager.name],
+    steps,
+    e2e: e2eStep(features, packageManager),
+    docker: features.includes('docker')
+  };
+}
+
+// Browser tests run in their own job. Playwright installs the browsers that
+// match the resolved @playwright/test version; the images provide their
+// system dependencies
+function e2eStep(features, packageManager) {
+  const command = packageManager.getRunCommand('test:e2e');
+
+  if (features.includes('playwright')) {
+    return {
+      tool: 'playwright',
+      command,
+      browsers: `${EXEC_COMMANDS[packageManager.name]} playwright install --with-deps chromium`,
+      image: `mcr.microsoft.com/playwright:v${PLAYWRIGHT_VERSION}-jammy`,
+      artifacts: 'playwright-report/'
+    };
+  }
+
+  if (features.includes('cypress')) {
+    return {
+      tool: 'cypress',
+      command,
+      image: 'cypress/browsers:latest',
+      artifacts: 'cypress/screenshots/'
+    };
+  }
+
+  return null;
+}
+
+// Checkout, Node and dependency install, shared by the jobs that need them
+function githubSetupSteps(pipeline) {
+  const lines = ['      - uses: actions/checkout@v4'];
+
+  if (pipeline.packageManager === 'pnpm') {
+    lines.push(
+      '      - uses: pnpm/action-setup@v4',
+      '        with:',
+      '          version: 8'
+    );
+  }
+
+  lines.push(
+    '      - uses: actions/setup-node@v4',
+    '        with:',
+    `          node-version: ${NODE_VERSION}`,
+    `          cache: ${pipeline.packageManager}`,
+    '      - name: Install dependencies',
+    `        run: ${pipeline.install}`
+  );
+
+  return lines;
+}
+
+function githubWorkflow(details) {
+  const pipeline = pipelineSteps(details);
+  const lines = [
+    'name: CI',
+    '',
+    'on:',
+    '  push:',
+    '    branches: [main]',
+    '  pull_request:',
+    '',
+    'jobs:',
+    '  build:',
+    '    runs-on: ubuntu-latest',
+    '    steps:',
+    ...githubSetupSteps(pipeline)
+  ];
+
+  for (const step of pipeline.steps) {
+    lines.push(
+      `      - name: ${step.name}`,
+      `        run: ${step.command}`
+    );
+  }
+
+  if (pipeline.e2e) {
+    lines.push(
+      '',
+      '  e2e:',
+      '    needs: build',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      ...githubSetupSteps(pipeline)
+    );
+
+    if (pipeline.e2e.browsers) {
+      lines.push(
+        '      - name: Install browsers',
+        `        run: ${pipeline.e2e.browsers}`
+      );
+    }
+
+    lines.push(
+      '      - name: End-to-end tests',
+      `        run: ${pipeline.e2e.command}`,
+      '      - uses: actions/upload-artifact@v4',
+      '        if: failure()',
+      '        with:',
+      `          name: ${pipeline.e2e.tool}-results`,
+      `          path: ${pipeline.e2e.artifacts}`
+    );
+  }
+
+  if (pipeline.docker) {
+    lines.push(
+      '',
+      '  docker:',
+      '    needs: build',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      '      - name: Build Docker image',
+      `        run: docker build -t ${details.name}:\${{ github.sha }} .`
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function gitlabPipeline(details) {
+  const pipeline = pipelineSteps(details);
+  const cacheDir = { npm: '.npm/', yarn: '.yarn-cache/', pnpm: '.pnpm-store/' }[pipeline.packageManager];
+  const install = {
+    npm: ['npm ci --cache .npm --prefer-offline'],
+    yarn: ['yarn install --frozen-lockfile --cache-folder .yarn-cache'],
+    pnpm: ['corepack enable', 'corepack prepare pnpm@8 --activate', 'pnpm config set store-dir .pnpm-store', 'pnpm install --frozen-lockfile']
+  }[pipeline.packageManager];
+
+  const jobs = pipeline.steps.map(step => ({
+    name: step.id,
+    stage: step.id === 'build' ? 'build' : 'test',
+    lines: [
+      '  script:',
+      `    - ${step.command}`,
+      ...(step.artifacts ? ['  artifacts:', '    paths:', `      - ${step.artifacts}`] : [])
+    ]
+  }));
+
+  if (jobs.length === 0) {
+    jobs.push({ name: 'install', stage: 'test', lines: ['  script:', '    - echo "Dependencies installed"'] });
+  }
+
+  if (pipeline.e2e) {
+    jobs.push({
+      name: 'e2e',
+      stage: 'e2e',
+      lines: [
+        `  image: ${pipeline.e2e.image}`,
+        '  script:',
+        ...(pipeline.e2e.browsers ? [`    - ${pipeline.e2e.browsers}`] : []),
+        `    - ${pipeline.e2e.command}`,
+        '  artifacts:',
+        '    when: on_failure',
+        '    paths:',
+        `      - ${pipeline.e2e.artifacts}`
+      ]
+    });
+  }
+
+  if (pipeline.docker) {
+    jobs.push({
+      name: 'docker',
+      stage: 'build',
+      lines: [
+        '  image: docker:24',
+        '  services:',
+        '    - docker:24-dind',
+        '  cache: []',
+        '  before_script: []',
+        '  script:',
+        '    - docker build -t "$CI_REGISTRY_IMAGE:$CI_COMMIT_SHORT_SHA" .'
+      ]
+    });
+  }
+
+  const stages = ['test', 'build', 'e2e'].filter(stage => jobs.some(job => job.stage === stage));
+
+  const lines = [
+    `image: node:${NODE_VERSION}`,
+    '',
+    'stages:',
+    ...stages.map(stage => `  - ${stage}`),
+    '',
+    'cache:',
+    '  key:',
+    '    files:',
+    `      - ${LOCKFILES[pipeline.packageManager]}`,
+    '  paths:',
+    `    - ${cacheDir}`,
+    '',
+    'before_script:',
+    ...install.map(command => `  - ${command}`)
+  ];
+
+  for (const job of jobs) {
+    lines.push('', `${job.name}:`, `  stage: ${job.stage}`, ...job.lines);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+export const githubActions = {
+  name: 'github-actions',
+  label: 'GitHub Actions',
+  detect: {
+    files: ['.github/workflows/ci.yml', '.github/workflows/ci.yaml']
+  },
+  files: details => [{ path: '.github/workflows/ci.yml', content: githubWorkflow(details) }]
+};
+
+export const gitlabCi = {
+  name: 'gitlab-ci',
+  label: 'GitLab CI',
+  detect: {
+    files: ['.gitlab-ci.yml']
+  },
+  files: details => [{ path: '.gitlab-ci.yml', content: gitlabPipeline(details) }]
+};
@@ -0,0 +1,37 @@
+export default {
+  name: 'docker',
+  label: 'Docker',
+  detect: {
+    files: ['Dockerfile']
+  },
+  files: [
+    {
+      path: 'Dockerfile',
+      content: `FROM node:18-alpine
+
+WORKDIR /app
+
+COPY package*.json ./
+RUN npm ci --only=production
+
+COPY . .
+
+EXPOSE 3000
+
+CMD ["npm", "start"]`
+    },
+    {
+      path: '.dockerignore',
+      content: `node_modules
+npm-debug.log
+.git
+.gitignore
+README.md
+.env
+.nyc_output
+coverage
+.nyc_output
+.vscode`
+    }
+  ]
+};
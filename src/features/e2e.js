@@ -0,0 +1,207 @@
+import { PackageManager } from '../utils/package-manager.js';
+
+// The script that serves each supported framework's app, and its port
+const DEV_SERVERS = {
+  react: { script: 'dev', port: 5173 },
+  vue: { script: 'dev', port: 5173 },
+  express: { script: 'start', port: 3000 },
+  // Vanilla projects have no server of their own; the e2e:serve script
+  // serves the project folder statically
+  vanilla: { script: 'e2e:serve', port: 3000 }
+};
+
+const STATIC_SERVER = {
+  scripts: { 'e2e:serve': 'serve --listen 3000 .' },
+  devDependencies: { serve: '^14.2.0' }
+};
+
+// Where the sample spec finds the app: Express is checked through its
+// /health route, everything else through the home page
+function devServer(details) {
+  const { script, port } = DEV_SERVERS[details.framework];
+  return {
+    script,
+    url: `http://localhost:${port}`,
+    health: details.framework === 'express'
+  };
+}
+
+function staticServer(details, section) {
+  return details.framework === 'vanilla' ? STATIC_SERVER[section] : {};
+}
+
+function isTypeScript(details) {
+  return (details.features || []).includes('typescript');
+}
+
+function cypressSpec(details) {
+  const reference = isTypeScript(details) ? '/// <reference types="cypress" />\n\n' : '';
+
+  if (devServer(details).health) {
+    return `${reference}describe('health check', () => {
+  it('responds with OK', () => {
+    cy.request('/health').its('body').should('have.property', 'status', 'OK');
+  });
+});
+`;
+  }
+
+  return `${reference}describe('home page', () => {
+  it('loads', () => {
+    cy.visit('/');
+    cy.get('body').should('be.visible');
+  });
+});
+`;
+}
+
+function cypressConfig(details) {
+  const body = `defineConfig({
+  e2e: {
+    baseUrl: '${devServer(details).url}',
+    supportFile: false
+  }
+})`;
+
+  return isTypeScript(details)
+    ? `import { defineConfig } from 'cypress';\n\nexport default ${body};\n`
+    : `const { defineConfig } = require('cypress');\n\nmodule.exports = ${body};\n`;
+}
+
+function playwrightSpec(details) {
+  const imports = isTypeScript(details)
+    ? "import { test, expect } from '@playwright/test';"
+    : "const { test, expect } = require('@playwright/test');";
+
+  if (devServer(details).health) {
+    return `${imports}
+
+test('health check responds with OK', async ({ request }) => {
+  const response = await request.get('/health');
+  expect(response.ok()).toBeTruthy();
+  expect(await response.json()).toMatchObject({ status: 'OK' });
+});
+`;
+  }
+
+  return `${imports}
+
+test('home page loads', async ({ page }) => {
+  const response = await page.goto('/');
+  expect(response?.ok()).toBeTruthy();
+  await expect(page.locator('body')).toBeVisible();
+});
+`;
+}
+
+function playwrightConfig(details) {
+  const server = devServer(details);
+  const packageManager = new PackageManager(details.packageManager || 'npm');
+  const body = `defineConfig({
+  testDir: './e2e',
+  fullyParallel: true,
+  retries: process.env.CI ? 2 : 0,
+  reporter: [['list'], ['html', { open: 'never' }]],
+  use: {
+    baseURL: '${server.url}',
+    trace: 'on-first-retry'
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } }
+  ],
+  webServer: {
+    command: '${packageManager.getRunCommand(server.script)}',
+    url: '${server.url}',
+    reuseExistingServer: !process.env.CI
+  }
+})`;
+
+  return isTypeScript(details)
+    ? `import { defineConfig, devices } from '@playwright/test';\n\nexport default ${body};\n`
+    : `const { defineConfig, devices } = require('@playwright/test');\n\nmodule.exports = ${body};\n`;
+}
+
+// Jest's default testMatch picks up *.spec.js, so keep it out of e2e/
+function ignoreInJest(content) {
+  const jestConfig = JSON.parse(content);
+  const ignored = jestConfig.testPathIgnorePatterns || ['/node_modules/'];
+
+  if (ignored.includes('<rootDir>/e2e/')) {
+    return content;
+  }
+
+  return `${JSON.stringify({ ...jestConfig, testPathIgnorePatterns: [...ignored, '<rootDir>/e2e/'] }, null, 2)}\n`;
+}
+
+export const cypress = {
+  name: 'cypress',
+  label: 'Cypress E2E',
+  frameworks: Object.keys(DEV_SERVERS),
+  conflicts: ['playwright'],
+  detect: {
+    files: ['cypress.config.js', 'cypress.config.ts', 'cypress.config.mjs', 'cypress.json'],
+    packages: ['cypress']
+  },
+  gitignore: ['# Cypress', 'cypress/videos/', 'cypress/screenshots/'],
+  scripts(details) {
+    const server = devServer(details);
+    return {
+      ...staticServer(details, 'scripts'),
+      'cy:open': 'cypress open',
+      'cy:run': 'cypress run',
+      // Cypress does not start the app itself
+      'test:e2e': `start-server-and-test ${server.script} ${server.url} cy:run`
+    };
+  },
+  devDependencies(details) {
+    return {
+      ...staticServer(details, 'devDependencies'),
+      cypress: '^13.6.0',
+      'start-server-and-test': '^2.0.3'
+    };
+  },
+  files(details) {
+    const extension = isTypeScript(details) ? 'ts' : 'js';
+    const spec = devServer(details).health ? 'health' : 'home';
+
+    return [
+      { path: `cypress.config.${extension}`, content: cypressConfig(details) },
+      { path: `cypress/e2e/${spec}.cy.${extension}`, content: cypressSpec(details), ifMissing: true }
+    ];
+  }
+};
+
+export const playwright = {
+  name: 'playwright',
+  label: 'Playwright E2E',
+  frameworks: Object.keys(DEV_SERVERS),
+  conflicts: ['cypress'],
+  detect: {
+    files: ['playwright.config.js', 'playwright.config.ts', 'playwright.config.mjs'],
+    packages: ['@playwright/test']
+  },
+  gitignore: ['# Playwright', 'test-results/', 'playwright-report/'],
+  scripts(details) {
+    return {
+      ...staticServer(details, 'scripts'),
+      'test:e2e': 'playwright test',
+      'test:e2e:ui': 'playwright test --ui'
+    };
+  },
+  devDependencies(details) {
+    return {
+      ...staticServer(details, 'devDependencies'),
+      '@playwright/test': '^1.40.0'
+    };
+  },
+  files(details) {
+    const extension = isTypeScript(details) ? 'ts' : 'js';
+    const spec = devServer(details).health ? 'health' : 'home';
+
+    return [
+      { path: `playwright.config.${extension}`, content: playwrightConfig(details) },
+      { path: `e2e/${spec}.spec.${extension}`, content: playwrightSpec(details), ifMissing: true },
+      { path: 'jest.config.json', update: ignoreInJest }
+    ];
+  }
+};
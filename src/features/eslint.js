@@ -0,0 +1,85 @@
+// The built-in templates write .ts/.tsx sources even without the TypeScript
+// feature, so those files always go through the TypeScript parser. It needs
+// TypeScript 5; left to itself npm resolves its peer to a newer major
+const TYPESCRIPT_PARSER = '@typescript-eslint/parser';
+const TYPESCRIPT_ESLINT_VERSION = '^6.21.0';
+
+function isTypeScript(details) {
+  return (details.features || []).includes('typescript');
+}
+
+export default {
+  name: 'eslint',
+  label: 'ESLint',
+  detect: {
+    files: ['.eslintrc', '.eslintrc.json', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.yml', 'eslint.config.js', 'eslint.config.mjs'],
+    packages: ['eslint'],
+    packageJsonKey: 'eslintConfig'
+  },
+  gitignore: ['# Lint cache', '.eslintcache'],
+  scripts: {
+    lint: 'eslint . --ext .js,.jsx,.ts,.tsx',
+    'lint:fix': 'eslint . --ext .js,.jsx,.ts,.tsx --fix'
+  },
+  devDependencies(details) {
+    const devDependencies = {
+      eslint: '^8.45.0',
+      [TYPESCRIPT_PARSER]: TYPESCRIPT_ESLINT_VERSION,
+      typescript: '^5.0.0'
+    };
+
+    if (isTypeScript(details)) {
+      devDependencies['@typescript-eslint/eslint-plugin'] = TYPESCRIPT_ESLINT_VERSION;
+    }
+
+    if (details.framework === 'react') {
+      devDependencies['eslint-plugin-react'] = '^7.33.0';
+    }
+
+    return devDependencies;
+  },
+  files(details) {
+    const eslintConfig = {
+      root: true,
+      env: {
+        browser: true,
+        es2021: true,
+        node: true,
+        ...((details.features || []).includes('jest') ? { jest: true } : {})
+      },
+      extends: [
+        'eslint:recommended'
+      ],
+      parserOptions: {
+        ecmaVersion: 'latest',
+        sourceType: 'module'
+      },
+      ignorePatterns: ['dist/', 'coverage/'],
+      rules: {},
+      overrides: [
+        {
+          files: ['*.ts', '*.tsx'],
+          parser: TYPESCRIPT_PARSER,
+          extends: isTypeScript(details) ? ['plugin:@typescript-eslint/recommended'] : [],
+          rules: {
+            // TypeScript itself reports undefined names, and knows about types
+            'no-undef': 'off'
+          }
+        }
+      ]
+    };
+
+    if (details.framework === 'react') {
+      eslintConfig.extends.push('plugin:react/recommended');
+      eslintConfig.parserOptions.ecmaFeatures = { jsx: true };
+      eslintConfig.plugins = ['react'];
+      eslintConfig.settings = {
+        react: {
+          version: 'detect'
+        }
+      };
+    }
+
+    return [{ path: '.eslintrc.json', content: eslintConfig }];
+  }
+};
@@ -0,0 +1,26 @@
+import typescript from './typescript.js';
+import eslint from './eslint.js';
+import prettier from './prettier.js';
+import jest from './jest.js';
+import { cypress, playwright } from './e2e.js';
+import tailwind from './tailwind.js';
+import sass from './sass.js';
+import docker from './docker.js';
+import pwa from './pwa.js';
+import { githubActions, gitlabCi } from './ci.js';
+
+// In the order they are offered when generating a project
+export const BUILTIN_FEATURES = [
+  typescript,
+  eslint,
+  prettier,
+  jest,
+  cypress,
+  playwright,
+  tailwind,
+  sass,
+  pwa,
+  docker,
+  githubActions,
+  gitlabCi
+];
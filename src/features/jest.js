@@ -0,0 +1,64 @@
+const DOM_FRAMEWORKS = ['react', 'nextjs'];
+
+export default {
+  name: 'jest',
+  label: 'Jest Testing',
+  // The built-in React, Vue and Express templates write TypeScript sources,
+  // which Jest only loads through ts-jest
+  requires: ['typescript'],
+  detect: {
+    files: ['jest.config.json', 'jest.config.js', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.ts'],
+    packages: ['jest'],
+    packageJsonKey: 'jest'
+  },
+  gitignore: ['# Testing', 'coverage/'],
+  scripts: {
+    // A new project has no tests yet; that should not fail its first CI run
+    test: 'jest --passWithNoTests',
+    'test:watch': 'jest --watch'
+  },
+  devDependencies(details) {
+    const features = details.features || [];
+    const devDependencies = { jest: '^29.6.0' };
+
+    if (features.includes('typescript')) {
+      devDependencies['ts-jest'] = '^29.1.0';
+      devDependencies['@types/jest'] = '^29.5.0';
+    }
+
+    // jsdom is no longer bundled with Jest
+    if (DOM_FRAMEWORKS.includes(details.framework)) {
+      devDependencies['jest-environment-jsdom'] = '^29.6.0';
+      devDependencies['@testing-library/react'] = '^14.0.0';
+      devDependencies['@testing-library/jest-dom'] = '^6.1.0';
+    }
+
+    return devDependencies;
+  },
+  files(details) {
+    const features = details.features || [];
+    const typescript = features.includes('typescript');
+    const jestConfig = {
+      testEnvironment: 'node'
+    };
+    const files = [];
+
+    if (typescript) {
+      jestConfig.preset = 'ts-jest';
+    }
+
+    // Browser specs belong to the E2E runner, not Jest
+    if (features.includes('playwright')) {
+      jestConfig.testPathIgnorePatterns = ['/node_modules/', '<rootDir>/e2e/'];
+    }
+
+    if (DOM_FRAMEWORKS.includes(details.framework)) {
+      const setupFile = `src/setupTests.${typescript ? 'ts' : 'js'}`;
+      jestConfig.testEnvironment = 'jsdom';
+      jestConfig.setupFilesAfterEnv = [`<rootDir>/${setupFile}`];
+      files.push({ path: setupFile, content: "import '@testing-library/jest-dom';\n", ifMissing: true });
+    }
+
+    return [{ path: 'jest.config.json', content: jestConfig }, ...files];
+  }
+};
@@ -0,0 +1,24 @@
+export default {
+  name: 'prettier',
+  label: 'Prettier',
+  detect: {
+    files: ['.prettierrc', '.prettierrc.json', '.prettierrc.js', '.prettierrc.cjs', 'prettier.config.js'],
+    packages: ['prettier'],
+    packageJsonKey: 'prettier'
+  },
+  devDependencies: {
+    prettier: '^3.0.0'
+  },
+  files: [
+    {
+      path: '.prettierrc',
+      content: {
+        semi: true,
+        trailingComma: 'es5',
+        singleQuote: true,
+        printWidth: 80,
+        tabWidth: 2
+      }
+    }
+  ]
+};
@@ -0,0 +1,357 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+
+const VITE_FRAMEWORKS = ['react', 'vue'];
+const ENTRY_FILES = ['src/main.tsx', 'src/main.ts', 'src/main.jsx', 'src/main.js'];
+const VANILLA_ENTRY_FILES = ['script.js', 'src/main.js', 'src/index.js', 'main.js', 'app.js'];
+const THEME_COLOR = '#4f46e5';
+const BACKGROUND_COLOR = '#ffffff';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// A single-colour square PNG, as a placeholder until real icons are designed
+function placeholderIcon(size) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(THEME_COLOR.slice(i, i + 2), 16));
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolour RGB
+
+  const row = Buffer.alloc(1 + size * 3);
+  for (let x = 0; x < size; x++) {
+    row.set([r, g, b], 1 + x * 3);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(Array(size).fill(row)))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function iconFiles(dir) {
+  return [
+    { path: `${dir}/pwa-192x192.png`, content: placeholderIcon(192), ifMissing: true },
+    { path: `${dir}/pwa-512x512.png`, content: placeholderIcon(512), ifMissing: true },
+    { path: `${dir}/maskable-icon-512x512.png`, content: placeholderIcon(512), ifMissing: true },
+    { path: `${dir}/apple-touch-icon.png`, content: placeholderIcon(180), ifMissing: true }
+  ];
+}
+
+function webManifest(details, iconPath) {
+  return {
+    name: details.name,
+    short_name: details.name,
+    description: details.description || `${details.name} progressive web app`,
+    start_url: '/',
+    display: 'standalone',
+    theme_color: THEME_COLOR,
+    background_color: BACKGROUND_COLOR,
+    icons: [
+      { src: `${iconPath}pwa-192x192.png`, sizes: '192x192', type: 'image/png' },
+      { src: `${iconPath}pwa-512x512.png`, sizes: '512x512', type: 'image/png' },
+      { src: `${iconPath}maskable-icon-512x512.png`, sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+    ]
+  };
+}
+
+// Inserts `line` after the last import, keeping the file's semicolon style
+function addImport(content, line) {
+  const semi = /;\s*$/m.test(content) ? ';' : '';
+  const lines = content.split('\n');
+  const lastImport = lines.reduce((last, current, index) => (/^import\s/.test(current) ? index : last), -1);
+  lines.splice(lastImport + 1, 0, `${line}${semi}`);
+  return lines.join('\n');
+}
+
+function addToHead(html, tags) {
+  if (html.includes('rel="manifest"') || html.includes('name="theme-color"')) {
+    return html;
+  }
+
+  const head = html.match(/<head\b[^>]*>([\s\S]*?)\n([ \t]*)<\/head>/);
+  if (!head) {
+    return html;
+  }
+
+  // Indent like the tags already in <head>, or one level deeper than it
+  const siblingIndents = head[1].match(/^[ \t]*(?=<)/gm) || [];
+  const indent = siblingIndents.length > 0 ? siblingIndents[siblingIndents.length - 1] : `${head[2]}  `;
+
+  return html.replace(/\n([ \t]*)<\/head>/, (match, closingIndent) =>
+    `${tags.map(tag => `\n${indent}${tag}`).join('')}\n${closingIndent}</head>`);
+}
+
+// The first local script index.html loads, so the service worker is
+// registered from the project's actual entry file
+async function htmlEntryFile(projectPath) {
+  const htmlPath = path.join(projectPath, 'index.html');
+  if (!(await fs.pathExists(htmlPath))) {
+    return null;
+  }
+
+  const html = await fs.readFile(htmlPath, 'utf-8');
+  for (const [, src] of html.matchAll(/<script\b[^>]*\bsrc=["']([^"']+)["']/g)) {
+    const file = src.replace(/^\.?\//, '');
+    if (!/^[a-z]+:|^\/\//i.test(src) && await fs.pathExists(path.join(projectPath, file))) {
+      return file;
+    }
+  }
+
+  return null;
+}
+
+// JSON as a JavaScript object literal in the style of vite.config.js
+function toObjectLiteral(value) {
+  return JSON.stringify(value, null, 2)
+    .replace(/"([A-Za-z_$][\w$]*)":/g, '$1:')
+    .replace(/"([^"'\\]*)"/g, "'$1'");
+}
+
+function vitePwaOptions(details) {
+  const manifest = toObjectLiteral(webManifest(details, '/')).replace(/\n/g, '\n  ');
+
+  return `const pwa = VitePWA({
+  registerType: 'autoUpdate',
+  includeAssets: ['apple-touch-icon.png'],
+  manifest: ${manifest},
+  workbox: {
+    // Precache the build output; navigations fall back to the cached app shell
+    globPatterns: ['**/*.{js,css,html,svg,png,ico,woff2}'],
+    navigateFallback: '/index.html',
+    runtimeCaching: [
+      {
+        urlPattern: ({ request }) => request.destination === 'image',
+        handler: 'CacheFirst',
+        options: {
+          cacheName: 'images',
+          expiration: { maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60 }
+        }
+      },
+      {
+        urlPattern: ({ url }) => url.pathname.startsWith('/api/'),
+        handler: 'NetworkFirst',
+        options: { cacheName: 'api', networkTimeoutSeconds: 5 }
+      }
+    ]
+  }
+})`;
+}
+
+function addVitePwa(config, details) {
+  if (config.includes('vite-plugin-pwa')) {
+    return config;
+  }
+
+  const withOptions = addImport(config, "import { VitePWA } from 'vite-plugin-pwa'")
+    .replace(/\nexport default/, `\n${vitePwaOptions(details)}\n\nexport default`);
+
+  if (/plugins:\s*\[/.test(withOptions)) {
+    return withOptions.replace(/plugins:\s*\[([^\]]*)\]/, (match, plugins) => {
+      const existing = plugins.trim().replace(/,$/, '');
+      return `plugins: [${existing ? `${existing}, ` : ''}pwa]`;
+    });
+  }
+
+  return withOptions.replace(/defineConfig\(\{/, 'defineConfig({\n  plugins: [pwa],');
+}
+
+function viteConfig(details) {
+  const framework = details.framework === 'vue'
+    ? { importLine: "import vue from '@vitejs/plugin-vue'", plugin: 'vue()' }
+    : { importLine: "import react from '@vitejs/plugin-react'", plugin: 'react()' };
+
+  return `import { defineConfig } from 'vite'
+${framework.importLine}
+import { VitePWA } from 'vite-plugin-pwa'
+
+${vitePwaOptions(details)}
+
+export default defineConfig({
+  plugins: [${framework.plugin}, pwa],
+})
+`;
+}
+
+function registerViteServiceWorker(content) {
+  if (content.includes('virtual:pwa-register')) {
+    return content;
+  }
+  const semi = /;\s*$/m.test(content) ? ';' : '';
+  return `${addImport(content, "import { registerSW } from 'virtual:pwa-register'").replace(/\s*$/, '')}
+
+registerSW({ immediate: true })${semi}
+`;
+}
+
+function viteFiles(details) {
+  const typescript = (details.features || []).includes('typescript');
+  const clientTypes = '/// <reference types="vite-plugin-pwa/client" />';
+
+  return [
+    { path: 'vite.config.js', update: config => addVitePwa(config, details) },
+    { path: 'vite.config.js', content: viteConfig(details), ifMissing: true },
+    ...ENTRY_FILES.map(file => ({ path: file, update: registerViteServiceWorker })),
+    {
+      path: 'src/vite-env.d.ts',
+      update: content => (content.includes(clientTypes) ? content : `${content.replace(/\s*$/, '\n')}${clientTypes}\n`)
+    },
+    ...(typescript ? [{ path: 'src/vite-env.d.ts', content: `/// <reference types="vite/client" />\n${clientTypes}\n`, ifMissing: true }] : []),
+    {
+      path: 'index.html',
+      update: html => addToHead(html, [
+        `<meta name="theme-color" content="${THEME_COLOR}" />`,
+        '<link rel="apple-touch-icon" href="/apple-touch-icon.png" />'
+      ])
+    },
+    ...iconFiles('public')
+  ];
+}
+
+// Precaches the app shell, serves pages network-first so deploys show up,
+// and other same-origin GETs stale-while-revalidate
+function serviceWorker(details) {
+  return `const CACHE_NAME = '${details.name}-v1';
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icons/pwa-192x192.png',
+  '/icons/pwa-512x512.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          return response;
+        })
+        .catch(() => caches.match(request).then((cached) => cached || caches.match('/index.html')))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.match(request).then((cached) => {
+        const network = fetch(request).then((response) => {
+          if (response.ok) {
+            cache.put(request, response.clone());
+          }
+          return response;
+        });
+        return cached || network;
+      })
+    )
+  );
+});
+`;
+}
+
+function registerServiceWorker(content) {
+  if (content.includes('serviceWorker.register')) {
+    return content;
+  }
+  const indent = (content.match(/^( +)\S/m) || [null, '  '])[1];
+  const snippet = `if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}`.replace(/^((?:  )+)/gm, leading => indent.repeat(leading.length / 2));
+
+  return `${content.replace(/\s*$/, '')}\n\n${snippet}\n`;
+}
+
+async function vanillaFiles(details, projectPath) {
+  const entryFile = projectPath ? await htmlEntryFile(projectPath) : null;
+
+  return [
+    { path: 'manifest.webmanifest', content: webManifest(details, '/icons/') },
+    { path: 'sw.js', content: serviceWorker(details) },
+    ...(entryFile ? [entryFile] : VANILLA_ENTRY_FILES).map(file => ({ path: file, update: registerServiceWorker })),
+    {
+      path: 'index.html',
+      update: html => addToHead(html, [
+        '<link rel="manifest" href="/manifest.webmanifest" />',
+        `<meta name="theme-color" content="${THEME_COLOR}" />`,
+        '<link rel="apple-touch-icon" href="/icons/apple-touch-icon.png" />'
+      ])
+    },
+    ...iconFiles('icons')
+  ];
+}
+
+export default {
+  name: 'pwa',
+  label: 'PWA Support',
+  frameworks: ['react', 'vue', 'vanilla'],
+  detect: {
+    files: ['manifest.webmanifest', 'public/manifest.webmanifest', 'public/manifest.json', 'sw.js'],
+    packages: ['vite-plugin-pwa']
+  },
+  devDependencies(details) {
+    if (!VITE_FRAMEWORKS.includes(details.framework)) {
+      return {};
+    }
+
+    return {
+      'vite-plugin-pwa': '^0.17.4',
+      ...(details.framework === 'vue' ? { '@vitejs/plugin-vue': '^4.5.0' } : { '@vitejs/plugin-react': '^4.2.0' })
+    };
+  },
+  files(details, projectPath) {
+    return VITE_FRAMEWORKS.includes(details.framework) ? viteFiles(details) : vanillaFiles(details, projectPath);
+  }
+};
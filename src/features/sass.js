@@ -0,0 +1,11 @@
+export default {
+  name: 'sass',
+  label: 'Sass/SCSS',
+  frameworks: ['react', 'vue', 'svelte', 'angular', 'nextjs', 'nuxtjs', 'vanilla'],
+  detect: {
+    packages: ['sass', 'node-sass']
+  },
+  devDependencies: {
+    sass: '^1.69.0'
+  }
+};
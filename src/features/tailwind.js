@@ -0,0 +1,37 @@
+export default {
+  name: 'tailwind',
+  label: 'Tailwind CSS',
+  frameworks: ['react', 'vue', 'svelte', 'angular', 'nextjs', 'nuxtjs', 'vanilla'],
+  detect: {
+    files: ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.ts'],
+    packages: ['tailwindcss']
+  },
+  dependencies: {
+    tailwindcss: '^3.3.0'
+  },
+  files: [
+    {
+      path: 'tailwind.config.js',
+      content: `/** @type {import('tailwindcss').Config} */
+export default {
+  content: [
+    "./index.html",
+    "./src/**/*.{js,ts,jsx,tsx,vue}",
+  ],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}`
+    },
+    {
+      // Add Tailwind directives to CSS
+      path: 'src/index.css',
+      update: existingCSS => `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+
+${existingCSS}`
+    }
+  ]
+};
@@ -0,0 +1,19 @@
+export default {
+  name: 'typescript',
+  label: 'TypeScript',
+  detect: {
+    files: ['tsconfig.json'],
+    packages: ['typescript']
+  },
+  gitignore: ['# TypeScript', '*.tsbuildinfo'],
+  devDependencies(details) {
+    const devDependencies = { typescript: '^5.0.0' };
+
+    if (details.framework === 'react') {
+      devDependencies['@types/react'] = '^18.2.0';
+      devDependencies['@types/react-dom'] = '^18.2.0';
+    }
+
+    return devDependencies;
+  }
+};
@@ -4,14 +4,18 @@ import express from 'express';
 import cors from 'cors';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
+import os from 'os';
 import path from 'path';
+import fs from 'fs-extra';
 import { fileURLToPath } from 'url';
-import { generateProject } from './commands/generate.js';
+import { generateProject, parseFeatures } from './commands/generate.js';
 import { manageTemplates } from './commands/templates.js';
 import { configureSettings } from './commands/settings.js';
 import { Logger } from './utils/logger.js';
 import { ConfigManager } from './utils/config.js';
-import { TemplateManager } from './utils/templates.js';
+import { TemplateManager, EXPORT_FORMATS, TEMPLATE_SCHEMA_PATH } from './utils/templates.js';
+import { TemplateRegistry } from './utils/registry.js';
+import { FeatureRegistry } from './utils/feature-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,6 +32,7 @@ const io = new Server(server, {
 const logger = new Logger();
 const config = new ConfigManager();
 const templateManager = new TemplateManager();
+const featureRegistry = new FeatureRegistry();
 
 // Initialize configuration
 await config.init();
@@ -37,6 +42,29 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
+// The API can be called from any origin, so a request may only write below
+// the configured output directory
+async function resolveApiOutput(output) {
+  const configData = await config.getConfig();
+  const baseDir = path.resolve(configData.outputDirectory || process.cwd());
+
+  if (output === undefined || output === null || output === '') {
+    return baseDir;
+  }
+
+  if (typeof output !== 'string' || path.isAbsolute(output)) {
+    throw new Error('output must be a path relative to the configured output directory');
+  }
+
+  const outputDir = path.resolve(baseDir, output);
+  const relative = path.relative(baseDir, outputDir);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error('output must stay inside the configured output directory');
+  }
+
+  return outputDir;
+}
+
 // API Routes
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'CodeGen CLI Web Server is running' });
@@ -44,7 +72,7 @@ app.get('/api/health', (req, res) => {
 
 app.get('/api/templates', async (req, res) => {
   try {
-    const templates = await templateManager.listTemplates();
+    const templates = await templateManager.findTemplatesForFramework(req.query.framework);
     res.json({ success: true, templates });
   } catch (error) {
     logger.error('Failed to fetch templates:', error.message);
@@ -52,6 +80,70 @@ app.get('/api/templates', async (req, res) => {
   }
 });
 
+app.get('/api/features', async (req, res) => {
+  try {
+    const features = (await featureRegistry.list()).map(({ name, label, frameworks, requires, conflicts, source }) => ({
+      name, label: label || name, frameworks: frameworks || null, requires: requires || [], conflicts: conflicts || [], source
+    }));
+    res.json({ success: true, features });
+  } catch (error) {
+    logger.error('Failed to fetch features:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/templates/schema', (req, res) => {
+  res.sendFile(TEMPLATE_SCHEMA_PATH);
+});
+
+app.get('/api/templates/:name/versions', async (req, res) => {
+  try {
+    const versions = await templateManager.listTemplateVersions(req.params.name);
+    if (versions.length === 0) {
+      return res.status(404).json({ success: false, error: `Template "${req.params.name}" not found` });
+    }
+    res.json({ success: true, versions });
+  } catch (error) {
+    logger.error('Failed to fetch template versions:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/templates/:name/export', async (req, res) => {
+  const format = req.query.format || 'zip';
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-export-'));
+
+  try {
+    if (!(await templateManager.getTemplate(req.params.name))) {
+      await fs.remove(outputDir);
+      return res.status(404).json({ success: false, error: `Template "${req.params.name}" not found` });
+    }
+
+    const fileName = `${req.params.name}${EXPORT_FORMATS[format] || ''}`;
+    const outputPath = await templateManager.exportTemplate(req.params.name, {
+      format,
+      output: path.join(outputDir, fileName)
+    });
+
+    res.download(outputPath, fileName, () => fs.remove(outputDir));
+  } catch (error) {
+    await fs.remove(outputDir);
+    logger.error('Failed to export template:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/registry', async (req, res) => {
+  try {
+    const configData = await config.getConfig();
+    const registry = new TemplateRegistry(req.query.registry || configData.templateRegistry, { templateManager });
+    res.json({ success: true, templates: await registry.search(req.query.q || '') });
+  } catch (error) {
+    logger.error('Failed to search the template registry:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/api/config', async (req, res) => {
   try {
     const configData = await config.getConfig();
@@ -75,7 +167,10 @@ app.post('/api/config', async (req, res) => {
 
 app.post('/api/generate', async (req, res) => {
   try {
-    const { name, framework, features, packageManager, template } = req.body;
+    const {
+      name, framework, features, packageManager, template,
+      output, onConflict, dryRun, skipInstall, offline, git, hooks, trustHooks
+    } = req.body;
     
     // Validate required fields
     if (!name || !framework) {
@@ -85,14 +180,60 @@ app.post('/api/generate', async (req, res) => {
       });
     }
 
+    // Overwriting is only offered on the command line, whether it was asked
+    // for or is the configured default
+    const configData = await config.getConfig();
+    if ((onConflict || configData.conflictStrategy) === 'overwrite') {
+      return res.status(400).json({
+        success: false,
+        error: 'The "overwrite" conflict strategy is not available through the API; pass onConflict abort, merge or backup'
+      });
+    }
+
+    let outputDir;
+    try {
+      outputDir = await resolveApiOutput(output);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
     const options = {
       name,
       framework,
       template,
-      features: features || [],
+      output: outputDir,
+      onConflict,
+      dryRun: Boolean(dryRun),
+      skipInstall: Boolean(skipInstall),
+      offline: Boolean(offline),
+      git: git !== false,
+      hooks: hooks !== false,
+      // Nobody can answer a prompt in the server's terminal, so template
+      // hooks only run when the request explicitly trusts them
+      interactive: false,
+      trustHooks: trustHooks === true,
+      onOutput: (line) => {
+        io.emit('generation-progress', { message: line, type: 'output', timestamp: new Date().toISOString() });
+      },
+      features: parseFeatures(features) || [],
       packageManager: packageManager || 'npm'
     };
 
+    // Reject contradictory feature sets up front with the resolver's explanation
+    let featureWarnings = [];
+    try {
+      ({ warnings: featureWarnings } = await featureRegistry.resolve(framework, options.features));
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (template && !(await templateManager.getTemplate(template))) {
+      return res.status(404).json({
+        success: false,
+        error: `Template "${template}" not found`
+      });
+    }
+
     // Create a custom logger that emits progress via Socket.IO
     const webLogger = {
       info: (message) => {
@@ -115,30 +256,53 @@ app.post('/api/generate', async (req, res) => {
 
     // Emit initial progress
     io.emit('generation-progress', { 
-      message: `Starting project generation for "${name}" in Downloads folder...`, 
+      message: `Starting project generation for "${name}"...`, 
       type: 'info', 
       timestamp: new Date().toISOString() 
     });
 
-    // Generate project with timeout protection
+    // Generate project with timeout protection; installing dependencies
+    // needs considerably longer than writing files
+    const timeoutMs = options.skipInstall || options.dryRun ? 60000 : 600000;
     const generationPromise = generateProject(options);
     const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Project generation timed out')), 60000)
+      setTimeout(() => reject(new Error('Project generation timed out')), timeoutMs)
     );
 
     const result = await Promise.race([generationPromise, timeoutPromise]);
 
+    if (result.dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        projectPath: result.projectPath,
+        files: result.files,
+        packageJson: result.packageJson,
+        targetExists: result.targetExists,
+        overwrittenFiles: result.overwrittenFiles,
+        skippedFiles: result.skippedFiles,
+        features: result.projectDetails.features,
+        warnings: featureWarnings
+      });
+    }
+
     // Emit success message
     io.emit('generation-progress', { 
-      message: `Project "${name}" generated successfully in Downloads folder!`, 
+      message: `Project "${name}" generated successfully in ${result.projectPath}`, 
       type: 'success', 
       timestamp: new Date().toISOString() 
     });
 
     res.json({ 
       success: true, 
-      message: `Project "${name}" generated successfully in Downloads folder!`,
-      projectPath: result.projectPath
+      message: `Project "${name}" generated successfully in ${result.projectPath}`,
+      projectPath: result.projectPath,
+      backupPath: result.backupPath,
+      skippedFiles: result.skippedFiles,
+      gitInitialized: result.gitInitialized,
+      installed: result.installed,
+      features: result.projectDetails.features,
+      warnings: featureWarnings
     });
 
   } catch (error) {
@@ -151,7 +315,7 @@ app.post('/api/generate', async (req, res) => {
       timestamp: new Date().toISOString() 
     });
     
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.code === 'EEXIST' ? 409 : 500).json({ success: false, error: error.message });
   }
 });
 
@@ -164,10 +328,40 @@ app.post('/api/templates', async (req, res) => {
         await templateManager.createTemplate(templateData);
         res.json({ success: true, message: 'Template created successfully' });
         break;
-      case 'delete':
-        // Implementation for deleting templates
-        res.json({ success: true, message: 'Template deleted successfully' });
+      case 'delete': {
+        const name = templateData?.name;
+        if (!name || !(await templateManager.getTemplate(name))) {
+          return res.status(404).json({ success: false, error: `Template "${name}" not found` });
+        }
+        if (templateManager.isBuiltinTemplate(name) && !templateData.force) {
+          return res.status(403).json({
+            success: false,
+            error: `"${name}" is a built-in template. Pass force: true to delete it.`
+          });
+        }
+        await templateManager.deleteTemplate(name, { force: templateData.force });
+        res.json({ success: true, message: `Template "${name}" deleted successfully` });
         break;
+      }
+      case 'install': {
+        const configData = await config.getConfig();
+        const registry = new TemplateRegistry(templateData?.registry || configData.templateRegistry, { templateManager });
+        const template = await registry.install(templateData?.name || '', { force: templateData?.force });
+        res.json({ success: true, message: `Template "${template.name}" v${template.version} installed`, template });
+        break;
+      }
+      case 'update': {
+        const configData = await config.getConfig();
+        const registry = new TemplateRegistry(templateData?.registry || configData.templateRegistry, { templateManager });
+        const updates = await registry.update(templateData?.names || []);
+        res.json({ success: true, message: 'Templates updated', updates });
+        break;
+      }
+      case 'restore': {
+        const restored = await templateManager.createDefaultTemplates({ overwrite: Boolean(templateData?.force) });
+        res.json({ success: true, message: 'Built-in templates restored', restored });
+        break;
+      }
       default:
         res.status(400).json({ success: false, error: 'Invalid action' });
     }
@@ -0,0 +1,81 @@
+import fs from 'fs-extra';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import * as tar from 'tar';
+
+const DOWNLOAD_TIMEOUT = 60000;
+
+export function detectArchiveFormat(file) {
+  const lower = file.toLowerCase().split(/[?#]/)[0];
+
+  if (lower.endsWith('.zip')) return 'zip';
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+  return null;
+}
+
+export async function extractArchive(archivePath, destination) {
+  const format = detectArchiveFormat(archivePath);
+  await fs.ensureDir(destination);
+
+  switch (format) {
+    case 'zip':
+      new AdmZip(archivePath).extractAllTo(destination, true);
+      break;
+    case 'tar.gz':
+      // tar strips absolute paths and ".." entries by default
+      await tar.x({ file: archivePath, cwd: destination, gzip: true });
+      break;
+    default:
+      throw new Error(`Unsupported archive format: ${path.basename(archivePath)} (expected .zip, .tar.gz or .tgz)`);
+  }
+}
+
+// Archives wrap the files in a top-level folder named after the template
+export async function createArchive(sourceDir, archivePath, format, options = {}) {
+  const folderName = options.folderName || path.basename(sourceDir);
+  const filter = options.filter || (() => true);
+
+  await fs.ensureDir(path.dirname(archivePath));
+
+  switch (format) {
+    case 'zip': {
+      const zip = new AdmZip();
+      zip.addLocalFolder(sourceDir, folderName, (file) => filter(file));
+      await zip.writeZipPromise(archivePath);
+      break;
+    }
+    case 'tar.gz':
+      await tar.c({
+        gzip: true,
+        file: archivePath,
+        cwd: sourceDir,
+        prefix: folderName,
+        portable: true,
+        filter: (file) => filter(path.relative('.', file))
+      }, ['.']);
+      break;
+    default:
+      throw new Error(`Unsupported archive format: ${format}`);
+  }
+}
+
+// The timeout covers the whole transfer, so a server that stalls midway
+// cannot hang the CLI either
+export async function downloadFile(url, destination, options = {}) {
+  const timeout = options.timeout || DOWNLOAD_TIMEOUT;
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+
+    if (!response.ok) {
+      throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    await fs.writeFile(destination, Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Timed out downloading ${url} after ${timeout / 1000}s`);
+    }
+    throw error;
+  }
+}
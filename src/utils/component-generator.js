@@ -0,0 +1,541 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { TemplateEngine } from './template-engine.js';
+
+const { pascalCase, camelCase, kebabCase } = new TemplateEngine().helpers;
+
+export const ADD_TYPES = ['component', 'hook', 'service', 'test', 'docs'];
+
+// Checked in order, so meta-frameworks win over the library they build on
+const FRAMEWORK_PACKAGES = [
+  ['nextjs', 'next'],
+  ['nuxtjs', 'nuxt'],
+  ['angular', '@angular/core'],
+  ['svelte', 'svelte'],
+  ['vue', 'vue'],
+  ['react', 'react'],
+  ['express', 'express']
+];
+
+const COMPONENT_FRAMEWORKS = ['react', 'nextjs', 'vue', 'nuxtjs', 'angular', 'svelte'];
+
+// Generates components, hooks, services, tests and docs inside an existing
+// project, following the conventions of the framework it detects
+export class ComponentGenerator {
+  constructor(cwd = process.cwd()) {
+    this.cwd = path.resolve(cwd);
+    this.project = null;
+  }
+
+  async findProjectRoot() {
+    let dir = this.cwd;
+
+    while (!(await fs.pathExists(path.join(dir, 'package.json')))) {
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        throw new Error(`No package.json found in ${this.cwd} or any parent directory`);
+      }
+      dir = parent;
+    }
+
+    return dir;
+  }
+
+  async detectProject(overrides = {}) {
+    const root = await this.findProjectRoot();
+    const packageJson = await fs.readJson(path.join(root, 'package.json'));
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const has = (name) => Boolean(dependencies[name]);
+
+    const detected = FRAMEWORK_PACKAGES.find(([, packageName]) => has(packageName));
+    const jestConfigs = ['jest.config.js', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.ts', 'jest.config.json'];
+    let testRunner = null;
+    if (has('vitest')) {
+      testRunner = 'vitest';
+    } else if (has('jest') || packageJson.jest ||
+        (await Promise.all(jestConfigs.map(file => fs.pathExists(path.join(root, file))))).some(Boolean)) {
+      testRunner = 'jest';
+    }
+
+    this.project = {
+      root,
+      framework: overrides.framework || (detected ? detected[0] : 'vanilla'),
+      typescript: overrides.typescript ?? (has('typescript') || await fs.pathExists(path.join(root, 'tsconfig.json'))),
+      testRunner,
+      styleExtension: has('sass') || has('node-sass') ? 'scss' : 'css',
+      esm: packageJson.type === 'module',
+      srcDir: await fs.pathExists(path.join(root, 'src')) ? 'src' : '.'
+    };
+
+    return this.project;
+  }
+
+  // Returns the files written, each as { path, action: 'created' | 'updated' }
+  async generate(type, name, options = {}) {
+    if (!ADD_TYPES.includes(type)) {
+      throw new Error(`Unknown type "${type}". Use one of: ${ADD_TYPES.join(', ')}`);
+    }
+    if (!name || !pascalCase(name)) {
+      throw new Error(`A name is required to add a ${type}`);
+    }
+
+    const project = this.project || await this.detectProject(options);
+    const plan = await this[`plan${pascalCase(type)}`](name, options);
+    const withTests = options.test !== false && (options.test === true || Boolean(project.testRunner));
+
+    const files = plan.files.filter(file => (withTests || !file.test) && (options.style !== false || !file.style));
+
+    if (!options.force) {
+      for (const file of files) {
+        if (await fs.pathExists(path.join(project.root, file.path))) {
+          throw new Error(`${file.path} already exists. Use --force to overwrite it.`);
+        }
+      }
+    }
+
+    const written = [];
+
+    for (const file of files) {
+      const target = path.join(project.root, file.path);
+      await fs.ensureDir(path.dirname(target));
+      await fs.writeFile(target, file.content);
+      written.push({ path: file.path, action: 'created' });
+    }
+
+    if (plan.barrel && options.barrel !== false) {
+      const updated = await this.updateBarrel(plan.barrel.path, plan.barrel.line);
+      if (updated) {
+        written.push({ path: plan.barrel.path, action: updated });
+      }
+    }
+
+    return written;
+  }
+
+  // Adds an export line to an index file, creating it when needed
+  async updateBarrel(relativePath, line) {
+    const target = path.join(this.project.root, relativePath);
+    const existing = await fs.pathExists(target) ? await fs.readFile(target, 'utf-8') : null;
+
+    if (existing !== null && existing.split(/\r?\n/).some(current => current.trim() === line)) {
+      return null;
+    }
+
+    const content = existing === null || existing === ''
+      ? `${line}\n`
+      : `${existing.replace(/\s*$/, '\n')}${line}\n`;
+
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeFile(target, content);
+    return existing === null ? 'created' : 'updated';
+  }
+
+  scriptExtension(jsx = false) {
+    const { typescript } = this.project;
+    return jsx ? (typescript ? 'tsx' : 'jsx') : (typescript ? 'ts' : 'js');
+  }
+
+  testImports() {
+    return this.project.testRunner === 'vitest'
+      ? "import { describe, it, expect } from 'vitest';\n"
+      : '';
+  }
+
+  resolveDir(options, fallback) {
+    return path.posix.join(this.project.srcDir, options.dir || fallback).replace(/^\.\//, '');
+  }
+
+  async planComponent(name, options) {
+    const { framework } = this.project;
+
+    if (!COMPONENT_FRAMEWORKS.includes(framework)) {
+      throw new Error(`Components are not supported for ${framework} projects. Try "service" instead.`);
+    }
+
+    switch (framework) {
+      case 'vue':
+      case 'nuxtjs':
+        return this.planVueComponent(name, options);
+      case 'angular':
+        return this.planAngularComponent(name, options);
+      case 'svelte':
+        return this.planSvelteComponent(name, options);
+      default:
+        return this.planReactComponent(name, options);
+    }
+  }
+
+  planReactComponent(name, options) {
+    const componentName = pascalCase(name);
+    const className = kebabCase(name);
+    const { typescript, styleExtension } = this.project;
+    const ext = this.scriptExtension(true);
+    const dir = path.posix.join(this.resolveDir(options, 'components'), componentName);
+
+    const imports = [
+      typescript ? "import type { ReactNode } from 'react';" : null,
+      options.style !== false ? `import './${componentName}.${styleExtension}';` : null
+    ].filter(Boolean);
+
+    const component = `${imports.length > 0 ? `${imports.join('\n')}\n\n` : ''}${typescript ? `export interface ${componentName}Props {
+  children?: ReactNode;
+}
+
+` : ''}function ${componentName}({ children }${typescript ? `: ${componentName}Props` : ''}) {
+  return (
+    <div className="${className}" data-testid="${className}">
+      {children}
+    </div>
+  );
+}
+
+export default ${componentName};
+`;
+
+    const test = `${this.testImports()}import { render, screen } from '@testing-library/react';
+import ${componentName} from './${componentName}';
+
+describe('${componentName}', () => {
+  it('renders its children', () => {
+    render(<${componentName}>Hello</${componentName}>);
+    expect(screen.getByTestId('${className}').textContent).toBe('Hello');
+  });
+});
+`;
+
+    return {
+      files: [
+        { path: `${dir}/${componentName}.${ext}`, content: component },
+        { path: `${dir}/${componentName}.${styleExtension}`, content: `.${className} {\n}\n`, style: true },
+        { path: `${dir}/${componentName}.test.${ext}`, content: test, test: true },
+        { path: `${dir}/index.${this.scriptExtension()}`, content: `export { default } from './${componentName}';\n` }
+      ],
+      barrel: {
+        path: `${path.posix.dirname(dir)}/index.${this.scriptExtension()}`,
+        line: `export { default as ${componentName} } from './${componentName}';`
+      }
+    };
+  }
+
+  planVueComponent(name, options) {
+    const componentName = pascalCase(name);
+    const className = kebabCase(name);
+    const { typescript, styleExtension } = this.project;
+    const dir = this.resolveDir(options, 'components');
+    const lang = styleExtension === 'scss' ? ' lang="scss"' : '';
+
+    const component = `<template>
+  <div class="${className}">
+    <slot />
+  </div>
+</template>
+
+<script setup${typescript ? ' lang="ts"' : ''}>
+defineOptions({ name: '${componentName}' });
+</script>
+
+<style scoped${lang}>
+.${className} {
+}
+</style>
+`;
+
+    const test = `${this.testImports()}import { mount } from '@vue/test-utils';
+import ${componentName} from '../${componentName}.vue';
+
+describe('${componentName}', () => {
+  it('renders its slot', () => {
+    const wrapper = mount(${componentName}, { slots: { default: 'Hello' } });
+    expect(wrapper.text()).toBe('Hello');
+  });
+});
+`;
+
+    return {
+      files: [
+        { path: `${dir}/${componentName}.vue`, content: component },
+        { path: `${dir}/__tests__/${componentName}.spec.${this.scriptExtension()}`, content: test, test: true }
+      ],
+      barrel: {
+        path: `${dir}/index.${this.scriptExtension()}`,
+        line: `export { default as ${componentName} } from './${componentName}.vue';`
+      }
+    };
+  }
+
+  planAngularComponent(name, options) {
+    const fileName = kebabCase(name);
+    const className = `${pascalCase(name)}Component`;
+    const { styleExtension } = this.project;
+    const appDir = this.project.srcDir === 'src' ? 'app/components' : 'components';
+    const dir = path.posix.join(this.resolveDir(options, appDir), fileName);
+
+    const component = `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-${fileName}',
+  standalone: true,
+  imports: [],
+  templateUrl: './${fileName}.component.html',
+  styleUrl: './${fileName}.component.${styleExtension}'
+})
+export class ${className} {
+}
+`;
+
+    const test = `import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { ${className} } from './${fileName}.component';
+
+describe('${className}', () => {
+  let component: ${className};
+  let fixture: ComponentFixture<${className}>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [${className}]
+    }).compileComponents();
+
+    fixture = TestBed.createComponent(${className});
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
+`;
+
+    return {
+      files: [
+        { path: `${dir}/${fileName}.component.ts`, content: component },
+        { path: `${dir}/${fileName}.component.html`, content: `<p>${fileName} works!</p>\n` },
+        { path: `${dir}/${fileName}.component.${styleExtension}`, content: ':host {\n  display: block;\n}\n', style: true },
+        { path: `${dir}/${fileName}.component.spec.ts`, content: test, test: true }
+      ],
+      barrel: {
+        path: `${path.posix.dirname(dir)}/index.ts`,
+        line: `export * from './${fileName}/${fileName}.component';`
+      }
+    };
+  }
+
+  planSvelteComponent(name, options) {
+    const componentName = pascalCase(name);
+    const className = kebabCase(name);
+    const { typescript, styleExtension } = this.project;
+    const dir = this.resolveDir(options, 'lib/components');
+    const lang = styleExtension === 'scss' ? ' lang="scss"' : '';
+
+    const component = `<script${typescript ? ' lang="ts"' : ''}>
+</script>
+
+<div class="${className}">
+  <slot />
+</div>
+
+<style${lang}>
+  .${className} {
+  }
+</style>
+`;
+
+    const test = `${this.testImports()}import { render } from '@testing-library/svelte';
+import ${componentName} from './${componentName}.svelte';
+
+describe('${componentName}', () => {
+  it('renders', () => {
+    const { container } = render(${componentName});
+    expect(container.querySelector('.${className}')).toBeTruthy();
+  });
+});
+`;
+
+    return {
+      files: [
+        { path: `${dir}/${componentName}.svelte`, content: component },
+        { path: `${dir}/${componentName}.test.${this.scriptExtension()}`, content: test, test: true }
+      ],
+      barrel: {
+        path: `${dir}/index.${this.scriptExtension()}`,
+        line: `export { default as ${componentName} } from './${componentName}.svelte';`
+      }
+    };
+  }
+
+  planHook(name, options) {
+    if (!['react', 'nextjs'].includes(this.project.framework)) {
+      throw new Error('Hooks can only be added to React projects');
+    }
+
+    const hookName = camelCase(/^use[A-Z-_\s]/.test(name) ? name : `use-${name}`);
+    const ext = this.scriptExtension();
+    const dir = this.resolveDir(options, 'hooks');
+
+    const hook = `import { useState } from 'react';
+
+export function ${hookName}${this.project.typescript ? '<T>(initialValue: T)' : '(initialValue)'} {
+  const [value, setValue] = useState(initialValue);
+  return [value, setValue]${this.project.typescript ? ' as const' : ''};
+}
+`;
+
+    const test = `${this.testImports()}import { renderHook } from '@testing-library/react';
+import { ${hookName} } from './${hookName}';
+
+describe('${hookName}', () => {
+  it('returns the initial value', () => {
+    const { result } = renderHook(() => ${hookName}(1));
+    expect(result.current[0]).toBe(1);
+  });
+});
+`;
+
+    return {
+      files: [
+        { path: `${dir}/${hookName}.${ext}`, content: hook },
+        { path: `${dir}/${hookName}.test.${ext}`, content: test, test: true }
+      ],
+      barrel: {
+        path: `${dir}/index.${ext}`,
+        line: `export * from './${hookName}';`
+      }
+    };
+  }
+
+  planService(name, options) {
+    const baseName = pascalCase(name).replace(/Service$/, '') || pascalCase(name);
+    const className = `${baseName}Service`;
+    const { framework, typescript } = this.project;
+
+    if (framework === 'angular') {
+      const fileName = kebabCase(baseName);
+      const dir = this.resolveDir(options, this.project.srcDir === 'src' ? 'app/services' : 'services');
+
+      return {
+        files: [
+          {
+            path: `${dir}/${fileName}.service.ts`,
+            content: `import { Injectable } from '@angular/core';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class ${className} {
+}
+`
+          },
+          {
+            path: `${dir}/${fileName}.service.spec.ts`,
+            test: true,
+            content: `import { TestBed } from '@angular/core/testing';
+import { ${className} } from './${fileName}.service';
+
+describe('${className}', () => {
+  let service: ${className};
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(${className});
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+});
+`
+          }
+        ],
+        barrel: {
+          path: `${dir}/index.ts`,
+          line: `export * from './${fileName}.service';`
+        }
+      };
+    }
+
+    const fileName = `${camelCase(baseName)}Service`;
+    const ext = this.scriptExtension();
+    const dir = this.resolveDir(options, 'services');
+    // Plain JavaScript outside an ES module package uses CommonJS
+    const commonJs = !typescript && !this.project.esm && ['express', 'vanilla'].includes(framework);
+
+    const service = `${commonJs ? '' : 'export '}class ${className} {
+  constructor(${typescript ? 'private readonly options: Record<string, unknown> = {}' : 'options = {}'}) {${typescript ? '' : '\n    this.options = options;'}
+  }
+}
+${commonJs ? `\nmodule.exports = { ${className} };\n` : ''}`;
+
+    const test = `${this.testImports()}${commonJs
+      ? `const { ${className} } = require('./${fileName}');`
+      : `import { ${className} } from './${fileName}';`}
+
+describe('${className}', () => {
+  it('can be created', () => {
+    expect(new ${className}()).toBeInstanceOf(${className});
+  });
+});
+`;
+
+    return {
+      files: [
+        { path: `${dir}/${fileName}.${ext}`, content: service },
+        { path: `${dir}/${fileName}.test.${ext}`, content: test, test: true }
+      ],
+      barrel: commonJs ? null : {
+        path: `${dir}/index.${ext}`,
+        line: `export * from './${fileName}';`
+      }
+    };
+  }
+
+  // Adds a test next to an existing source file, or a standalone test file
+  async planTest(name, options) {
+    const source = path.resolve(this.cwd, name);
+    const ext = this.scriptExtension();
+
+    if (await fs.pathExists(source) && (await fs.stat(source)).isFile()) {
+      const relative = path.relative(this.project.root, source).split(path.sep).join('/');
+      const parsed = path.posix.parse(relative);
+      const testExt = ['.tsx', '.jsx'].includes(parsed.ext) ? parsed.ext.slice(1) : ext;
+      const moduleName = parsed.ext === '.vue' || parsed.ext === '.svelte' ? parsed.base : parsed.name;
+
+      return {
+        files: [{
+          path: path.posix.join(parsed.dir, `${parsed.name}.test.${testExt}`),
+          content: `${this.testImports()}import * as subject from './${moduleName}';
+
+describe('${parsed.name}', () => {
+  it('loads', () => {
+    expect(subject).toBeDefined();
+  });
+});
+`
+        }]
+      };
+    }
+
+    const testName = camelCase(name);
+    return {
+      files: [{
+        path: `${this.resolveDir(options, '__tests__')}/${testName}.test.${ext}`,
+        content: `${this.testImports()}describe('${testName}', () => {
+  it('works', () => {
+    expect(true).toBe(true);
+  });
+});
+`
+      }]
+    };
+  }
+
+  planDocs(name, options) {
+    const title = kebabCase(name).split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+    return {
+      files: [{
+        path: path.posix.join(options.dir || 'docs', `${kebabCase(name)}.md`),
+        content: `# ${title}\n\n## Overview\n\n## Usage\n`
+      }]
+    };
+  }
+}
@@ -16,7 +16,9 @@ export class ConfigManager {
       autoInstallDependencies: true,
       showTips: true,
       templatesDirectory: path.join(this.configDir, 'templates'),
+      pluginsDirectory: path.join(this.configDir, 'plugins'),
       autoUpdateTemplates: true,
+      templateRegistry: '',
       defaultFramework: 'react',
       defaultPackageManager: 'npm',
       useExactVersions: false,
@@ -24,9 +26,12 @@ export class ConfigManager {
       preferredEditor: 'vscode',
       openInEditor: true,
       terminalShell: 'bash',
-      generateGitignore: true
+      generateGitignore: true,
+      outputDirectory: '',
+      conflictStrategy: 'abort'
     };
     this.config = { ...this.defaultConfig };
+    this.initialized = false;
   }
 
   async init() {
@@ -42,18 +47,26 @@ export class ConfigManager {
 
       // Ensure templates directory exists
       await fs.ensureDir(this.config.templatesDirectory);
+      this.initialized = true;
       
     } catch (error) {
       console.error('Failed to initialize configuration:', error.message);
       this.config = { ...this.defaultConfig };
+      this.initialized = true;
     }
   }
 
   async getConfig() {
+    if (!this.initialized) {
+      await this.init();
+    }
     return { ...this.config };
   }
 
   async updateConfig(updates) {
+    if (!this.initialized) {
+      await this.init();
+    }
     this.config = { ...this.config, ...updates };
     await this.saveConfig();
   }
@@ -0,0 +1,168 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ComponentGenerator } from './component-generator.js';
+import { FeatureRegistry } from './feature-registry.js';
+import { PROJECT_MANIFEST_FILE } from './project-manifest.js';
+
+const PACKAGE_SECTIONS = ['scripts', 'dependencies', 'devDependencies'];
+
+// Adds a feature to a project after it was generated: writes the same config
+// files generation would and merges the feature's package.json entries
+export class FeatureInstaller {
+  constructor(cwd = process.cwd(), options = {}) {
+    this.generator = new ComponentGenerator(cwd);
+    this.registry = options.registry || new FeatureRegistry();
+    this.project = null;
+  }
+
+  async detectProject(overrides = {}) {
+    const project = await this.generator.detectProject(overrides);
+    const manifestPath = path.join(project.root, PROJECT_MANIFEST_FILE);
+    const manifest = await fs.pathExists(manifestPath) ? await fs.readJson(manifestPath) : null;
+
+    this.project = {
+      ...project,
+      packageJson: await fs.readJson(path.join(project.root, 'package.json')),
+      manifest,
+      packageManager: manifest?.packageManager || await this.detectPackageManager(project.root)
+    };
+
+    return this.project;
+  }
+
+  async detectPackageManager(root) {
+    if (await fs.pathExists(path.join(root, 'pnpm-lock.yaml'))) return 'pnpm';
+    if (await fs.pathExists(path.join(root, 'yarn.lock'))) return 'yarn';
+    return 'npm';
+  }
+
+  // Returns what shows the feature is already set up, or null
+  async findExisting(feature) {
+    const { root, packageJson, manifest } = this.project;
+    const markers = feature.detect || {};
+
+    for (const file of markers.files || []) {
+      if (await fs.pathExists(path.join(root, file))) {
+        return file;
+      }
+    }
+
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const installed = (markers.packages || []).find(name => dependencies[name]);
+    if (installed) {
+      return `the ${installed} package`;
+    }
+
+    if (markers.packageJsonKey && packageJson[markers.packageJsonKey]) {
+      return `"${markers.packageJsonKey}" in package.json`;
+    }
+
+    if (manifest?.features?.includes(feature.name)) {
+      return PROJECT_MANIFEST_FILE;
+    }
+
+    return null;
+  }
+
+  // The manifest's features plus every feature whose markers are in the
+  // project, for projects that were not generated or were changed by hand
+  async findInstalledFeatures() {
+    const { manifest, typescript } = this.project;
+    const found = [...(manifest?.features || []), ...(typescript ? ['typescript'] : [])];
+
+    for (const feature of await this.registry.list()) {
+      if (await this.findExisting(feature)) {
+        found.push(feature.name);
+      }
+    }
+
+    return [...new Set(found)];
+  }
+
+  // Features that need others install those too, unless they are already
+  // set up. Returns the features installed, the files written and the
+  // package.json entries added or left alone because the project already
+  // defines them differently
+  async install(name) {
+    const feature = await this.registry.get(name);
+    if (!feature) {
+      const available = (await this.registry.list()).map(({ name }) => name);
+      throw new Error(`Unknown feature "${name}". Use one of: ${available.join(', ')}`);
+    }
+
+    const project = this.project || await this.detectProject();
+    const existing = await this.findExisting(feature);
+    if (existing) {
+      throw new Error(`${feature.label || feature.name} is already set up in this project (found ${existing})`);
+    }
+
+    if (feature.frameworks && !feature.frameworks.includes(project.framework)) {
+      throw new Error(`${feature.label || name} does not apply to ${project.framework} projects (only ${feature.frameworks.join(', ')})`);
+    }
+
+    // Checked against what the project already has, so conflicts surface
+    const current = await this.findInstalledFeatures();
+    const { features, added: implied } = await this.registry.resolve(project.framework, [...current, name]);
+
+    const installed = [];
+    for (const { name: required } of implied) {
+      if (!(await this.findExisting(await this.registry.get(required)))) {
+        installed.push(required);
+      }
+    }
+    installed.push(name);
+
+    const details = {
+      name: project.packageJson.name,
+      description: project.packageJson.description,
+      framework: project.framework,
+      features,
+      packageManager: project.packageManager
+    };
+
+    const files = [];
+    for (const featureName of installed) {
+      files.push(...await this.registry.apply(project.root, featureName, details));
+    }
+
+    const { added, kept } = await this.mergePackageJson(await this.registry.getPackageChanges(installed, details));
+    if (added.length > 0) {
+      files.push({ path: 'package.json', action: 'updated' });
+    }
+
+    if (project.manifest) {
+      const manifest = { ...project.manifest, features: [...new Set([...(project.manifest.features || []), ...installed])] };
+      await fs.writeJson(path.join(project.root, PROJECT_MANIFEST_FILE), manifest, { spaces: 2 });
+      files.push({ path: PROJECT_MANIFEST_FILE, action: 'updated' });
+    }
+
+    return { installed, files, added, kept };
+  }
+
+  // Only fills in missing entries; anything the project already defines wins
+  async mergePackageJson(packageChanges) {
+    const packageJsonPath = path.join(this.project.root, 'package.json');
+    const packageJson = await fs.readJson(packageJsonPath);
+    const added = [];
+    const kept = [];
+
+    for (const section of PACKAGE_SECTIONS) {
+      for (const [name, value] of Object.entries(packageChanges[section] || {})) {
+        const current = packageJson[section]?.[name];
+        if (current === undefined) {
+          packageJson[section] = { ...packageJson[section], [name]: value };
+          added.push({ section, name, value });
+        } else if (current !== value) {
+          kept.push({ section, name, value: current, wanted: value });
+        }
+      }
+    }
+
+    if (added.length > 0) {
+      await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+      this.project.packageJson = packageJson;
+    }
+
+    return { added, kept };
+  }
+}
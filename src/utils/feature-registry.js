@@ -0,0 +1,315 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { Logger } from './logger.js';
+import { ConfigManager } from './config.js';
+import { BUILTIN_FEATURES } from '../features/index.js';
+
+const logger = new Logger();
+const config = new ConfigManager();
+
+const FEATURE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const PACKAGE_SECTIONS = ['scripts', 'dependencies', 'devDependencies'];
+const LIST_FIELDS = ['frameworks', 'requires', 'conflicts', 'gitignore'];
+const PLUGIN_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+// A feature module's default export (or an array of them, for plugins):
+//
+//   name, label          identifier used in --features, and the display name
+//   frameworks           frameworks it applies to; omit for all
+//   requires, conflicts  names of features it needs, or cannot be used with
+//   detect               { files, packages, packageJsonKey } that show it is
+//                        already set up, for `codegen feature add`
+//   scripts, dependencies, devDependencies
+//                        package.json entries, or functions of the project
+//                        details returning them
+//   files                [{ path, content }] or a (possibly async) function of
+//                        the project details and the project path returning
+//                        that; objects are written as JSON,
+//                        { path, update(existing) } patches a file when it
+//                        exists, and ifMissing: true keeps an existing file
+//   gitignore            .gitignore lines, starting with a "# Section" comment
+export function validateFeature(feature) {
+  const errors = [];
+
+  if (!feature || typeof feature !== 'object') {
+    return ['must export a feature object'];
+  }
+
+  if (typeof feature.name !== 'string' || !FEATURE_NAME_PATTERN.test(feature.name)) {
+    errors.push('name: must be lowercase letters, digits and dashes');
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (feature[field] !== undefined &&
+        !(Array.isArray(feature[field]) && feature[field].every(item => typeof item === 'string'))) {
+      errors.push(`${field}: must be a list of names`);
+    }
+  }
+
+  for (const field of [...PACKAGE_SECTIONS, 'detect']) {
+    if (feature[field] !== undefined && typeof feature[field] !== 'function' &&
+        (typeof feature[field] !== 'object' || Array.isArray(feature[field]))) {
+      errors.push(`${field}: must be an object${field === 'detect' ? '' : ' or a function returning one'}`);
+    }
+  }
+
+  if (feature.files !== undefined && typeof feature.files !== 'function' && !Array.isArray(feature.files)) {
+    errors.push('files: must be a list of files or a function returning one');
+  }
+
+  return errors;
+}
+
+export class FeatureRegistry {
+  constructor(options = {}) {
+    this.pluginsDir = options.pluginsDir || null;
+    this.loading = null;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadFeatures();
+    }
+    return this.loading;
+  }
+
+  async loadFeatures() {
+    const features = new Map(BUILTIN_FEATURES.map(feature => [feature.name, { ...feature, source: 'builtin' }]));
+    const pluginsDir = this.pluginsDir || (await config.getConfig()).pluginsDirectory;
+
+    for (const { feature, file } of await this.loadPlugins(pluginsDir)) {
+      if (features.has(feature.name)) {
+        logger.debug(`Plugin ${file} replaces the "${feature.name}" feature`);
+      }
+      features.set(feature.name, { ...feature, source: file });
+    }
+
+    return features;
+  }
+
+  // Plugins are modules directly in the plugins directory, or folders with a
+  // package.json "main" or an index.js. A plugin that fails to load or
+  // validate is skipped with a warning so it cannot break generation
+  async loadPlugins(pluginsDir) {
+    if (!pluginsDir || !(await fs.pathExists(pluginsDir))) {
+      return [];
+    }
+
+    const plugins = [];
+
+    for (const entry of (await fs.readdir(pluginsDir)).sort()) {
+      const file = await this.resolvePluginEntry(path.join(pluginsDir, entry));
+      if (!file) {
+        continue;
+      }
+
+      try {
+        const module = await import(pathToFileURL(file).href);
+        const exported = module.default ?? module.features;
+        const features = Array.isArray(exported) ? exported : [exported];
+
+        for (const feature of features) {
+          const errors = validateFeature(feature);
+          if (errors.length > 0) {
+            logger.warning(`Skipping feature plugin ${file}: ${errors.join('; ')}`);
+            continue;
+          }
+          plugins.push({ feature, file });
+        }
+      } catch (error) {
+        logger.warning(`Skipping feature plugin ${file}: ${error.message}`);
+      }
+    }
+
+    return plugins;
+  }
+
+  async resolvePluginEntry(entryPath) {
+    const stat = await fs.stat(entryPath);
+
+    if (stat.isFile()) {
+      return PLUGIN_EXTENSIONS.includes(path.extname(entryPath)) ? entryPath : null;
+    }
+
+    const packageJsonPath = path.join(entryPath, 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+      const { main } = await fs.readJson(packageJsonPath);
+      if (main) {
+        return path.join(entryPath, main);
+      }
+    }
+
+    const indexPath = path.join(entryPath, 'index.js');
+    return await fs.pathExists(indexPath) ? indexPath : null;
+  }
+
+  async list() {
+    return [...(await this.load()).values()];
+  }
+
+  async get(name) {
+    return (await this.load()).get(name) || null;
+  }
+
+  // Turns a selection into the feature set to generate: adds the features
+  // selected ones require, drops unknown features and those that do not apply
+  // to `framework`, and throws when two of them conflict. Returns
+  // { features, added: [{ name, requiredBy }], warnings }
+  async resolve(framework, selected = []) {
+    const features = [];
+    const requiredBy = new Map();
+    const warnings = [];
+
+    const visit = async (name, parent = null) => {
+      if (features.includes(name)) return;
+
+      const feature = await this.get(name);
+      if (!feature) {
+        warnings.push(parent
+          ? `"${parent}" requires the unknown feature "${name}"; it was not added`
+          : `Unknown feature "${name}" was ignored`);
+        return;
+      }
+
+      if (framework && feature.frameworks && !feature.frameworks.includes(framework)) {
+        warnings.push(`${feature.label || name} does not apply to ${framework} projects ` +
+          `(only ${feature.frameworks.join(', ')}) and was skipped`);
+        return;
+      }
+
+      features.push(name);
+      if (parent) {
+        requiredBy.set(name, parent);
+      }
+
+      for (const required of feature.requires || []) {
+        await visit(required, name);
+      }
+    };
+
+    const explicit = [...new Set(selected)];
+    for (const name of explicit) {
+      await visit(name);
+    }
+
+    const describe = name => (requiredBy.has(name) && !explicit.includes(name)
+      ? `"${name}" (required by "${requiredBy.get(name)}")`
+      : `"${name}"`);
+
+    for (const [index, name] of features.entries()) {
+      const feature = await this.get(name);
+      for (const other of features.slice(index + 1)) {
+        const otherFeature = await this.get(other);
+        if ((feature.conflicts || []).includes(other) || (otherFeature.conflicts || []).includes(name)) {
+          throw new Error(`Features ${describe(name)} and ${describe(other)} cannot be used together; remove one of them`);
+        }
+      }
+    }
+
+    return {
+      features,
+      added: features
+        .filter(name => !explicit.includes(name))
+        .map(name => ({ name, requiredBy: requiredBy.get(name) })),
+      warnings
+    };
+  }
+
+  resolveValue(value, details) {
+    return (typeof value === 'function' ? value(details) : value) || {};
+  }
+
+  // Combined package.json entries of `features`; later features win
+  async getPackageChanges(features, details) {
+    const changes = Object.fromEntries(PACKAGE_SECTIONS.map(section => [section, {}]));
+
+    for (const name of features) {
+      const feature = await this.get(name);
+      if (!feature) continue;
+
+      for (const section of PACKAGE_SECTIONS) {
+        Object.assign(changes[section], this.resolveValue(feature[section], details));
+      }
+    }
+
+    return changes;
+  }
+
+  // .gitignore sections of `features`, for a newly generated .gitignore
+  async getGitignoreSections(features) {
+    const sections = [];
+
+    for (const name of features) {
+      const feature = await this.get(name);
+      if (feature?.gitignore?.length > 0) {
+        sections.push(feature.gitignore);
+      }
+    }
+
+    return sections;
+  }
+
+  // Writes the feature's files into `projectPath`, and its ignores into an
+  // existing .gitignore. Returns the files written, each as
+  // { path, action: 'created' | 'updated' }
+  async apply(projectPath, name, details) {
+    const feature = await this.get(name);
+    if (!feature) {
+      logger.debug(`Feature ${name} not implemented yet`);
+      return [];
+    }
+
+    const files = typeof feature.files === 'function' ? await feature.files(details, projectPath) : feature.files || [];
+    const written = [];
+
+    for (const file of files) {
+      const targetPath = path.join(projectPath, file.path);
+      const exists = await fs.pathExists(targetPath);
+
+      if (file.ifMissing && exists) continue;
+
+      if (file.update) {
+        if (!exists) continue;
+        await fs.writeFile(targetPath, file.update(await fs.readFile(targetPath, 'utf-8')));
+      } else {
+        await fs.ensureDir(path.dirname(targetPath));
+        if (typeof file.content === 'string' || Buffer.isBuffer(file.content)) {
+          await fs.writeFile(targetPath, file.content);
+        } else {
+          await fs.writeJson(targetPath, file.content, { spaces: 2 });
+        }
+      }
+
+      written.push({ path: file.path, action: exists ? 'updated' : 'created' });
+    }
+
+    if (feature.gitignore?.length > 0 && await this.appendGitignore(projectPath, feature.gitignore)) {
+      written.push({ path: '.gitignore', action: 'updated' });
+    }
+
+    return written;
+  }
+
+  // Appends the section's missing patterns; a project without a .gitignore
+  // gets the section when one is generated
+  async appendGitignore(projectPath, section) {
+    const gitignorePath = path.join(projectPath, '.gitignore');
+    if (!(await fs.pathExists(gitignorePath))) {
+      return false;
+    }
+
+    const content = await fs.readFile(gitignorePath, 'utf-8');
+    const existing = new Set(content.split(/\r?\n/).map(line => line.trim()));
+    const [heading, ...patterns] = section[0].startsWith('#') ? section : [null, ...section];
+    const missing = patterns.filter(pattern => !existing.has(pattern));
+
+    if (missing.length === 0) {
+      return false;
+    }
+
+    const lines = heading && !existing.has(heading) ? [heading, ...missing] : missing;
+    await fs.writeFile(gitignorePath, `${content.replace(/\s*$/, '\n')}\n${lines.join('\n')}\n`);
+    return true;
+  }
+}
@@ -0,0 +1,73 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { runCommand } from './process.js';
+
+export class Git {
+  constructor(cwd, options = {}) {
+    this.cwd = cwd;
+    this.executable = options.executable || 'git';
+    this.runner = options.runner || runCommand;
+  }
+
+  run(args, options = {}) {
+    return this.runner(this.executable, args, { cwd: this.cwd, ...options });
+  }
+
+  // Only checks the directory itself so a project generated inside another
+  // repository still gets its own history
+  async isRepository() {
+    return fs.pathExists(path.join(this.cwd, '.git'));
+  }
+
+  async clone(source, destination) {
+    await this.run(['clone', '--depth', '1', source, destination]);
+  }
+
+  async init() {
+    await this.run(['init']);
+  }
+
+  // Three-way merges `otherPath` into `currentPath` in place, with `basePath`
+  // as the common ancestor. Resolves with the number of conflicts.
+  async mergeFile(currentPath, basePath, otherPath, labels = []) {
+    try {
+      await this.run(['merge-file', ...labels.flatMap(label => ['-L', label]), currentPath, basePath, otherPath]);
+      return 0;
+    } catch (error) {
+      // Exits with the number of conflicts, or a negative value on error
+      if (error.exitCode > 0 && error.exitCode < 128) {
+        return error.exitCode;
+      }
+      throw error;
+    }
+  }
+
+  // Unified diff of two files; paths in the header are used as given
+  async diffFiles(fromPath, toPath) {
+    try {
+      await this.run(['diff', '--no-index', '--no-color', '--no-prefix', fromPath, toPath]);
+      return '';
+    } catch (error) {
+      if (error.exitCode === 1) {
+        return error.output;
+      }
+      throw error;
+    }
+  }
+
+  async commitAll(message, author = {}) {
+    const env = {};
+
+    if (author.name) {
+      env.GIT_AUTHOR_NAME = author.name;
+      env.GIT_COMMITTER_NAME = author.name;
+    }
+    if (author.email) {
+      env.GIT_AUTHOR_EMAIL = author.email;
+      env.GIT_COMMITTER_EMAIL = author.email;
+    }
+
+    await this.run(['add', '-A']);
+    await this.run(['commit', '-m', message], { env });
+  }
+}
@@ -0,0 +1,51 @@
+import { runCommand } from './process.js';
+
+export const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm'];
+
+export class PackageManager {
+  constructor(name = 'npm', options = {}) {
+    if (!PACKAGE_MANAGERS.includes(name)) {
+      throw new Error(`Unsupported package manager "${name}". Use one of: ${PACKAGE_MANAGERS.join(', ')}`);
+    }
+
+    this.name = name;
+    // Overridable so installs can be exercised against a stub executable
+    this.executable = options.executable || name;
+    this.runner = options.runner || runCommand;
+  }
+
+  getInstallArgs({ offline = false } = {}) {
+    const args = ['install'];
+
+    // All three managers share the flag, but only use the local cache with it
+    if (offline) {
+      args.push('--offline');
+    }
+
+    return args;
+  }
+
+  getRunCommand(script) {
+    return this.name === 'npm' ? `npm run ${script}` : `${this.name} ${script}`;
+  }
+
+  async install(cwd, options = {}) {
+    const args = this.getInstallArgs(options);
+
+    try {
+      return await this.runner(this.executable, args, {
+        cwd,
+        timeout: options.timeout,
+        onOutput: options.onOutput
+      });
+    } catch (error) {
+      const reason = error.exitCode !== undefined
+        ? `exit code ${error.exitCode}`
+        : error.timedOut ? 'timeout' : error.message;
+      const installError = new Error(`${this.name} install failed (${reason})`);
+      installError.exitCode = error.exitCode;
+      installError.output = error.output;
+      throw installError;
+    }
+  }
+}
@@ -0,0 +1,144 @@
+import { spawn } from 'child_process';
+
+// Runs a command (without a shell unless asked), streaming its output line by line.
+// Resolves with the collected output; rejects with `exitCode` set when the
+// command exits non-zero and `timedOut` set when it is killed for taking too long.
+export function runCommand(command, args = [], options = {}) {
+  const { cwd, env, timeout = 0, onOutput, shell = false } = options;
+
+  return new Promise((resolve, reject) => {
+    const commandLine = [command, ...args].join(' ');
+    let output = '';
+    let timedOut = false;
+    let timer = null;
+    // With a timeout the command gets its own process group, so a shell and
+    // everything it started can be stopped together
+    const detached = timeout > 0 && process.platform !== 'win32';
+
+    const child = spawn(command, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      // npm, yarn and pnpm are .cmd shims on Windows
+      shell: shell || process.platform === 'win32',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached
+    });
+
+    const stop = signal => {
+      try {
+        if (detached) {
+          process.kill(-child.pid, signal);
+        } else {
+          child.kill(signal);
+        }
+      } catch {
+        // Already exited
+      }
+    };
+
+    // A detached group no longer receives the terminal's Ctrl+C; pass it on,
+    // then let the signal take its default course
+    const interrupt = signal => {
+      stop(signal);
+      process.kill(process.pid, signal);
+    };
+
+    if (detached) {
+      process.once('SIGINT', interrupt);
+      process.once('SIGTERM', interrupt);
+    }
+
+    const cleanUp = () => {
+      clearTimeout(timer);
+      process.removeListener('SIGINT', interrupt);
+      process.removeListener('SIGTERM', interrupt);
+    };
+
+    const pipeLines = (stream, source) => {
+      let pending = '';
+      stream.setEncoding('utf-8');
+      stream.on('data', chunk => {
+        output += chunk;
+        pending += chunk;
+        const lines = pending.split(/\r?\n/);
+        pending = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => onOutput?.(line, source));
+      });
+      stream.on('end', () => {
+        if (pending.trim()) onOutput?.(pending, source);
+      });
+    };
+
+    pipeLines(child.stdout, 'stdout');
+    pipeLines(child.stderr, 'stderr');
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        stop('SIGTERM');
+      }, timeout);
+    }
+
+    // Something that escaped the group may still hold the output pipes open;
+    // once a timed-out command has exited, stop waiting for them
+    child.on('exit', () => {
+      if (timedOut) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }
+    });
+
+    child.on('error', error => {
+      cleanUp();
+      reject(new Error(`Failed to run "${command}": ${error.message}`));
+    });
+
+    child.on('close', (code, signal) => {
+      cleanUp();
+
+      if (timedOut) {
+        const error = new Error(`"${commandLine}" timed out after ${timeout}ms`);
+        error.timedOut = true;
+        error.output = output;
+        return reject(error);
+      }
+
+      if (code !== 0) {
+        const error = new Error(`"${commandLine}" exited with code ${code ?? signal}`);
+        error.exitCode = code;
+        error.signal = signal;
+        error.output = output;
+        return reject(error);
+      }
+
+      resolve({ code, output });
+    });
+  });
+}
+
+const EDITOR_COMMANDS = {
+  vscode: ['code', '--wait'],
+  sublime: ['subl', '--wait'],
+  atom: ['atom', '--wait'],
+  vim: ['vim'],
+  emacs: ['emacs']
+};
+
+// Opens a file in the configured editor and waits for it to close. "other"
+// (or an unknown editor) falls back to $VISUAL / $EDITOR.
+export function openInEditor(filePath, preferredEditor) {
+  const [command, ...args] = EDITOR_COMMANDS[preferredEditor] ||
+    (process.env.VISUAL || process.env.EDITOR || 'vi').split(' ');
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, [...args, filePath], {
+      stdio: 'inherit',
+      shell: process.platform === 'win32'
+    });
+
+    child.on('error', error => reject(new Error(`Failed to open editor "${command}": ${error.message}`)));
+    child.on('close', code => (code === 0
+      ? resolve()
+      : reject(new Error(`Editor "${command}" exited with code ${code}`))));
+  });
+}
@@ -0,0 +1,61 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROJECT_MANIFEST_FILE = '.codegenrc.json';
+const MANIFEST_VERSION = 1;
+
+const cliPackage = fs.readJsonSync(path.join(__dirname, '..', '..', 'package.json'));
+
+// Records how a project was scaffolded. The top-level answer fields use the
+// same shape as an --answers file, so a manifest can be replayed directly.
+export function createProjectManifest(details, template) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generator: {
+      name: cliPackage.name,
+      version: cliPackage.version
+    },
+    generatedAt: new Date().toISOString(),
+    name: details.name,
+    description: details.description || '',
+    framework: details.framework,
+    features: details.features || [],
+    packageManager: details.packageManager || 'npm',
+    template: {
+      name: template.name,
+      version: template.version || '1.0.0',
+      ...(template.source && template.source !== 'local' ? { source: template.source } : {}),
+      ...(template.inherits ? { inherits: template.inherits } : {})
+    },
+    variables: details.variables || {}
+  };
+}
+
+export async function writeProjectManifest(projectPath, manifest) {
+  await fs.writeJson(path.join(projectPath, PROJECT_MANIFEST_FILE), manifest, { spaces: 2 });
+}
+
+// Looks in `cwd` and its parents so commands work from anywhere in a project
+export async function findProjectManifest(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  while (true) {
+    const manifestPath = path.join(dir, PROJECT_MANIFEST_FILE);
+    if (await fs.pathExists(manifestPath)) {
+      try {
+        return { projectPath: dir, manifest: await fs.readJson(manifestPath) };
+      } catch (error) {
+        throw new Error(`Invalid ${PROJECT_MANIFEST_FILE} in ${dir}: ${error.message}`);
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
@@ -0,0 +1,173 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { glob } from 'glob';
+import { Git } from './git.js';
+import { isBinary } from './templates.js';
+import { PROJECT_MANIFEST_FILE } from './project-manifest.js';
+
+export const UPDATE_ACTIONS = ['add', 'update', 'merge', 'delete', 'conflict', 'skip'];
+
+const IGNORED_FILES = [PROJECT_MANIFEST_FILE, 'node_modules/**', '.git/**'];
+
+async function readIfExists(filePath) {
+  return (await fs.pathExists(filePath)) ? fs.readFile(filePath) : null;
+}
+
+function sameContent(a, b) {
+  return a !== null && b !== null && a.equals(b);
+}
+
+// Carries template changes into a generated project. `basePath` holds the
+// project as the old template version generates it and `nextPath` as the new
+// one does; the difference between the two is merged into the project
+export class ProjectUpdater {
+  constructor(projectPath, options = {}) {
+    this.projectPath = projectPath;
+    this.git = options.git || new Git(projectPath);
+  }
+
+  async listFiles(dir) {
+    return glob('**/*', { cwd: dir, nodir: true, dot: true, ignore: IGNORED_FILES });
+  }
+
+  // Describes what applying the update would do to each file. Merges are
+  // computed here so a dry run can report conflicts accurately
+  async plan(basePath, nextPath, options = {}) {
+    const files = [...new Set([
+      ...(await this.listFiles(basePath)),
+      ...(await this.listFiles(nextPath))
+    ])].sort();
+
+    const workPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-update-'));
+    const changes = [];
+
+    try {
+      for (const file of files) {
+        const base = await readIfExists(path.join(basePath, file));
+        const next = await readIfExists(path.join(nextPath, file));
+        const ours = await readIfExists(path.join(this.projectPath, file));
+
+        if (sameContent(base, next)) {
+          continue;
+        }
+
+        const change = await this.planFile(file, { base, next, ours }, workPath, options);
+        if (change) {
+          changes.push(change);
+        }
+      }
+    } finally {
+      await fs.remove(workPath);
+    }
+
+    return changes;
+  }
+
+  async planFile(file, { base, next, ours }, workPath, options) {
+    // Removed from the template
+    if (next === null) {
+      if (ours === null) {
+        return null;
+      }
+      return sameContent(ours, base)
+        ? { path: file, action: 'delete' }
+        : { path: file, action: 'skip', reason: 'removed from the template but modified locally' };
+    }
+
+    if (sameContent(ours, next)) {
+      return null;
+    }
+
+    if (ours === null) {
+      // A file the template already had was deleted on purpose
+      return base === null
+        ? { path: file, action: 'add', content: next }
+        : { path: file, action: 'skip', reason: 'deleted locally' };
+    }
+
+    if (sameContent(ours, base)) {
+      return { path: file, action: 'update', content: next };
+    }
+
+    if ([base, next, ours].some(buffer => buffer !== null && isBinary(buffer))) {
+      return { path: file, action: 'conflict', binary: true };
+    }
+
+    // Both sides changed the file; a file both added merges against an empty base
+    const oursPath = path.join(workPath, 'ours');
+    const basePath = path.join(workPath, 'base');
+    const nextPath = path.join(workPath, 'next');
+    await fs.writeFile(oursPath, ours);
+    await fs.writeFile(basePath, base || '');
+    await fs.writeFile(nextPath, next);
+
+    const conflicts = await this.git.mergeFile(oursPath, basePath, nextPath, options.labels || []);
+    const content = await fs.readFile(oursPath);
+
+    if (conflicts === 0) {
+      return { path: file, action: 'merge', content };
+    }
+
+    return {
+      path: file,
+      action: 'conflict',
+      conflicts,
+      content,
+      rejected: await this.diffTemplateChange(file, base, next, workPath)
+    };
+  }
+
+  // The template's own change to a file, as a patch the user can apply by hand
+  async diffTemplateChange(file, base, next, workPath) {
+    const diffPath = path.join(workPath, 'diff');
+    await fs.emptyDir(diffPath);
+
+    const fromFile = base === null ? '/dev/null' : path.join('a', file);
+    if (base !== null) {
+      await fs.outputFile(path.join(diffPath, fromFile), base);
+    }
+    await fs.outputFile(path.join(diffPath, 'b', file), next);
+
+    const git = new Git(diffPath, { executable: this.git.executable, runner: this.git.runner });
+    return git.diffFiles(fromFile, path.join('b', file));
+  }
+
+  // Writes planned changes. Conflicts get conflict markers in place, or with
+  // `reject` the file is left alone and the template's change is saved next
+  // to it as <file>.rej
+  async apply(changes, options = {}) {
+    const written = [];
+
+    for (const change of changes) {
+      const targetPath = path.join(this.projectPath, change.path);
+
+      switch (change.action) {
+        case 'add':
+        case 'update':
+        case 'merge':
+          await fs.outputFile(targetPath, change.content);
+          written.push(change.path);
+          break;
+        case 'delete':
+          await fs.remove(targetPath);
+          written.push(change.path);
+          break;
+        case 'conflict':
+          if (change.binary) {
+            break;
+          }
+          if (options.reject) {
+            await fs.writeFile(`${targetPath}.rej`, change.rejected);
+            written.push(`${change.path}.rej`);
+          } else {
+            await fs.writeFile(targetPath, change.content);
+            written.push(change.path);
+          }
+          break;
+      }
+    }
+
+    return written;
+  }
+}
@@ -0,0 +1,193 @@
+import fs from 'fs-extra';
+import path from 'path';
+import semver from 'semver';
+import { fileURLToPath } from 'url';
+import { TemplateManager, parseTemplateSpecifier } from './templates.js';
+
+const INDEX_FILE = 'index.json';
+const FETCH_TIMEOUT = 15000;
+
+function isHttpSource(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+// A registry is an index.json served from a directory or a static HTTP server:
+//
+//   { "templates": [{ "name", "description", "framework", "tags",
+//       "versions": [{ "version": "1.0.0", "archive": "react-company-1.0.0.tar.gz" }] }] }
+//
+// Archive locations are relative to the index unless they are absolute.
+export class TemplateRegistry {
+  constructor(source, options = {}) {
+    if (!source) {
+      throw new Error('No template registry configured. Set one in settings or pass --registry.');
+    }
+
+    this.source = source;
+    this.templateManager = options.templateManager || new TemplateManager();
+    this.index = null;
+  }
+
+  getIndexLocation() {
+    if (isHttpSource(this.source)) {
+      return this.source.endsWith('.json') ? this.source : `${this.source.replace(/\/+$/, '')}/${INDEX_FILE}`;
+    }
+
+    const localPath = this.source.startsWith('file://') ? fileURLToPath(this.source) : path.resolve(this.source);
+    return localPath.endsWith('.json') ? localPath : path.join(localPath, INDEX_FILE);
+  }
+
+  async loadIndex() {
+    if (this.index) {
+      return this.index;
+    }
+
+    const location = this.getIndexLocation();
+    let index;
+
+    try {
+      if (isHttpSource(location)) {
+        const response = await fetch(location, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        index = await response.json();
+      } else {
+        index = await fs.readJson(location);
+      }
+    } catch (error) {
+      throw new Error(`Failed to load template registry ${location}: ${error.message}`);
+    }
+
+    if (!index || !Array.isArray(index.templates)) {
+      throw new Error(`Invalid template registry ${location}: "templates" must be an array`);
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  resolveArchiveLocation(archive) {
+    if (isHttpSource(archive) || path.isAbsolute(archive)) {
+      return archive;
+    }
+
+    const indexLocation = this.getIndexLocation();
+    if (isHttpSource(indexLocation)) {
+      return new URL(archive, indexLocation).href;
+    }
+
+    return path.join(path.dirname(indexLocation), archive);
+  }
+
+  // Newest first; entries without a usable version or archive are ignored
+  getReleases(entry) {
+    return (Array.isArray(entry.versions) ? entry.versions : [])
+      .filter(release => release && semver.valid(release.version) && release.archive)
+      .sort((a, b) => semver.rcompare(a.version, b.version));
+  }
+
+  async search(term = '') {
+    const { templates } = await this.loadIndex();
+    const needle = term.trim().toLowerCase();
+
+    return templates
+      .filter(entry => entry && entry.name)
+      .filter(entry => !needle || [entry.name, entry.description, entry.framework, ...(entry.tags || [])]
+        .some(value => value && String(value).toLowerCase().includes(needle)))
+      .map(entry => {
+        const versions = this.getReleases(entry).map(release => release.version);
+        return {
+          name: entry.name,
+          description: entry.description || '',
+          framework: entry.framework,
+          tags: entry.tags || [],
+          latest: versions[0] || null,
+          versions
+        };
+      });
+  }
+
+  // Accepts "name", "name@latest", "name@1.2.0" or "name@^1.0.0"
+  async resolve(specifier) {
+    const { name, range } = parseTemplateSpecifier(specifier);
+    const { templates } = await this.loadIndex();
+    const entry = templates.find(t => t && t.name === name);
+
+    if (!entry) {
+      throw new Error(`Template "${name}" is not in the registry`);
+    }
+
+    if (range && range !== 'latest' && !semver.validRange(range)) {
+      throw new Error(`Invalid version range "${range}" for template "${name}"`);
+    }
+
+    const releases = this.getReleases(entry);
+    const release = !range || range === 'latest'
+      ? releases[0]
+      : releases.find(r => semver.satisfies(r.version, range));
+
+    if (!release) {
+      throw new Error(
+        `No registry version of template "${name}" matches ${range || 'latest'}` +
+        (releases.length > 0 ? ` (available: ${releases.map(r => r.version).join(', ')})` : '')
+      );
+    }
+
+    return {
+      name: entry.name,
+      version: release.version,
+      archive: this.resolveArchiveLocation(release.archive)
+    };
+  }
+
+  async install(specifier, options = {}) {
+    const release = await this.resolve(specifier);
+
+    return this.templateManager.importTemplate(release.archive, {
+      force: options.force,
+      expect: { name: release.name, version: release.version },
+      registry: this.getIndexLocation()
+    });
+  }
+
+  // Compares installed templates against the registry. Without names, only
+  // templates that were installed from this registry are checked.
+  async checkForUpdates(names = []) {
+    const installed = await this.templateManager.listTemplates();
+    const candidates = names.length > 0
+      ? names.map(name => {
+        const template = installed.find(t => t.name === name);
+        if (!template) {
+          throw new Error(`Template "${name}" is not installed`);
+        }
+        return template;
+      })
+      : installed.filter(t => t.registry === this.getIndexLocation());
+
+    const { templates } = await this.loadIndex();
+    const updates = [];
+
+    for (const template of candidates) {
+      const entry = templates.find(t => t && t.name === template.name);
+      const latest = entry && this.getReleases(entry)[0];
+      const current = semver.valid(semver.coerce(template.version || '1.0.0')) || '0.0.0';
+
+      if (latest && semver.gt(latest.version, current)) {
+        updates.push({ name: template.name, current: template.version || '1.0.0', latest: latest.version });
+      }
+    }
+
+    return updates;
+  }
+
+  async update(names = [], options = {}) {
+    const updates = await this.checkForUpdates(names);
+
+    for (const update of updates) {
+      await this.install(`${update.name}@${update.latest}`, options);
+    }
+
+    return updates;
+  }
+}
@@ -0,0 +1,340 @@
+const TAG_PATTERN = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+const BLOCK_NAMES = ['if', 'unless', 'each'];
+
+// Block tags that sit alone on a line should not leave an empty line behind
+const STANDALONE_BLOCK_PATTERN = /^[ \t]*(\{\{(?:#(?:if|unless|each)\b[^}]*|\/(?:if|unless|each)|else)\}\})[ \t]*\r?\n/gm;
+
+function splitWords(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+}
+
+const defaultHelpers = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  not: (value) => !isTruthy(value),
+  and: (...values) => values.every(isTruthy),
+  or: (...values) => values.some(isTruthy),
+  includes: (collection, value) => Array.isArray(collection) || typeof collection === 'string'
+    ? collection.includes(value)
+    : Boolean(collection && collection[value]),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  json: (value) => JSON.stringify(value, null, 2),
+  join: (list, separator = ', ') => (Array.isArray(list) ? list.join(separator) : ''),
+  upperCase: (value) => String(value ?? '').toUpperCase(),
+  lowerCase: (value) => String(value ?? '').toLowerCase(),
+  capitalize: (value) => {
+    const str = String(value ?? '');
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  },
+  camelCase: (value) => splitWords(value ?? '')
+    .map((word, index) => (index === 0
+      ? word.toLowerCase()
+      : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+    .join(''),
+  pascalCase: (value) => splitWords(value ?? '')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(''),
+  kebabCase: (value) => splitWords(value ?? '').map(word => word.toLowerCase()).join('-'),
+  snakeCase: (value) => splitWords(value ?? '').map(word => word.toLowerCase()).join('_')
+};
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function tokenizeExpression(expression) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(expression)) !== null) {
+    if (match[1] !== undefined || match[2] !== undefined) {
+      tokens.push({ type: 'literal', value: match[1] ?? match[2] });
+    } else {
+      tokens.push({ type: 'word', value: match[3] });
+    }
+  }
+
+  return tokens;
+}
+
+export class TemplateEngine {
+  constructor() {
+    this.helpers = { ...defaultHelpers };
+  }
+
+  registerHelper(name, fn) {
+    this.helpers[name] = fn;
+  }
+
+  render(content, context = {}) {
+    const source = String(content).replace(STANDALONE_BLOCK_PATTERN, '$1');
+    const nodes = this.parse(source);
+    return this.renderNodes(nodes, [{ value: context, data: {} }]);
+  }
+
+  // Renders a relative file path, returning null when a segment renders empty
+  // so templates can make whole files conditional on the answers
+  renderPath(relativePath, context = {}) {
+    const segments = this.render(relativePath, context).split(/[\\/]/).map(segment => segment.trim());
+
+    if (segments.some(segment => !segment)) {
+      return null;
+    }
+
+    // An answer such as "../x" must not move the file out of the project
+    if (segments.some(segment => segment === '..')) {
+      throw new Error(`Path "${relativePath}" renders to "${segments.join('/')}", which leaves the project directory`);
+    }
+
+    return segments.join('/');
+  }
+
+  parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const current = stack[stack.length - 1];
+      const target = current.inverse || current.children;
+
+      if (match.index > lastIndex) {
+        target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      // Escaped "\{{" is emitted literally
+      if (match[1] === undefined) {
+        target.push({ type: 'text', value: '{{' });
+        continue;
+      }
+
+      const raw = match[0];
+      const expression = match[1].trim();
+
+      if (expression.startsWith('#')) {
+        const [name, ...rest] = expression.slice(1).split(/\s+/);
+        if (BLOCK_NAMES.includes(name)) {
+          const block = { type: 'block', name, expression: rest.join(' '), children: [], inverse: null, index: match.index };
+          target.push(block);
+          stack.push(block);
+          continue;
+        }
+      } else if (expression.startsWith('/')) {
+        const name = expression.slice(1).trim();
+        if (BLOCK_NAMES.includes(name)) {
+          const block = stack.pop();
+          if (!block || block === root || block.name !== name) {
+            throw new Error(`Unexpected closing tag {{/${name}}}`);
+          }
+          block.inverse = block.inverse || [];
+          continue;
+        }
+      } else if (expression === 'else' && stack.length > 1) {
+        current.inverse = [];
+        continue;
+      }
+
+      target.push({ type: 'variable', expression, raw, index: match.index });
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed block {{#${stack[stack.length - 1].name}}}`);
+    }
+
+    const tail = source.slice(lastIndex);
+    if (tail) {
+      root.children.push({ type: 'text', value: tail });
+    }
+
+    return root.children;
+  }
+
+  // Lists the top-level names a template reads, with the line they are on.
+  // Names inside {{#each}} may belong to the current item, so only those
+  // reached through enough ../ are reported.
+  references(content) {
+    const source = String(content);
+    const references = [];
+    const lineAt = (index) => source.slice(0, index).split('\n').length;
+
+    const collect = (expression, index, depth) => {
+      const tokens = tokenizeExpression(expression);
+      const [head, ...args] = tokens;
+      const words = head && args.length > 0 && head.type === 'word' &&
+        Object.prototype.hasOwnProperty.call(this.helpers, head.value)
+        ? args
+        : tokens.slice(0, 1);
+
+      for (const token of words) {
+        if (token.type !== 'word' || /^(true|false|null|-?\d+(\.\d+)?)$/.test(token.value)) {
+          continue;
+        }
+
+        let word = token.value;
+        let level = depth;
+        while (word.startsWith('../')) {
+          word = word.slice(3);
+          level = Math.max(0, level - 1);
+        }
+
+        if (level > 0 || word.startsWith('@') || word === 'this' || word === '.' || word.startsWith('this.')) {
+          continue;
+        }
+
+        references.push({ name: word.split('.')[0], expression, line: lineAt(index) });
+      }
+    };
+
+    const walk = (nodes, depth) => {
+      for (const node of nodes || []) {
+        if (node.type === 'variable') {
+          collect(node.expression, node.index, depth);
+        } else if (node.type === 'block') {
+          collect(node.expression, node.index, depth);
+          const inner = node.name === 'each' ? depth + 1 : depth;
+          walk(node.children, inner);
+          walk(node.inverse, depth);
+        }
+      }
+    };
+
+    walk(this.parse(source), 0);
+    return references;
+  }
+
+  renderNodes(nodes, scopes) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+        case 'variable': {
+          const value = this.evaluate(node.expression, scopes);
+          // Leave unknown placeholders untouched so framework syntax such as
+          // Vue interpolation or JSX style objects survives rendering
+          output += value === undefined || value === null ? node.raw : this.stringify(value);
+          break;
+        }
+        case 'block':
+          output += this.renderBlock(node, scopes);
+          break;
+      }
+    }
+
+    return output;
+  }
+
+  renderBlock(block, scopes) {
+    const value = this.evaluate(block.expression, scopes);
+
+    switch (block.name) {
+      case 'if':
+        return this.renderNodes(isTruthy(value) ? block.children : block.inverse, scopes);
+      case 'unless':
+        return this.renderNodes(isTruthy(value) ? block.inverse : block.children, scopes);
+      case 'each': {
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : value && typeof value === 'object' ? Object.entries(value) : [];
+
+        if (entries.length === 0) {
+          return this.renderNodes(block.inverse, scopes);
+        }
+
+        return entries.map(([key, item], index) => this.renderNodes(block.children, [
+          ...scopes,
+          {
+            value: item,
+            data: { index, key, first: index === 0, last: index === entries.length - 1 }
+          }
+        ])).join('');
+      }
+      default:
+        return '';
+    }
+  }
+
+  evaluate(expression, scopes) {
+    const tokens = tokenizeExpression(expression);
+
+    if (tokens.length === 0) {
+      return undefined;
+    }
+
+    const [head, ...args] = tokens;
+    if (args.length > 0 && head.type === 'word' && Object.prototype.hasOwnProperty.call(this.helpers, head.value)) {
+      return this.helpers[head.value](...args.map(token => this.resolveToken(token, scopes)));
+    }
+
+    if (tokens.length > 1) {
+      return undefined;
+    }
+
+    return this.resolveToken(head, scopes);
+  }
+
+  resolveToken(token, scopes) {
+    if (token.type === 'literal') {
+      return token.value;
+    }
+
+    const word = token.value;
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (/^-?\d+(\.\d+)?$/.test(word)) return Number(word);
+
+    return this.lookup(word, scopes);
+  }
+
+  lookup(pathExpression, scopes) {
+    let depth = scopes.length - 1;
+    let expression = pathExpression;
+
+    while (expression.startsWith('../')) {
+      depth = Math.max(0, depth - 1);
+      expression = expression.slice(3);
+    }
+
+    if (expression.startsWith('@')) {
+      return scopes[depth].data[expression.slice(1)];
+    }
+
+    if (expression === 'this' || expression === '.') {
+      return scopes[depth].value;
+    }
+
+    const explicitThis = expression.startsWith('this.');
+    const parts = (explicitThis ? expression.slice(5) : expression).split('.');
+
+    // Walk outwards through enclosing scopes so loop bodies can still reach
+    // top-level answers such as projectName
+    for (let i = depth; i >= 0; i--) {
+      const scopeValue = scopes[i].value;
+      if (scopeValue !== null && typeof scopeValue === 'object' && parts[0] in scopeValue) {
+        return parts.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), scopeValue);
+      }
+      if (explicitThis) break;
+    }
+
+    return undefined;
+  }
+
+  stringify(value) {
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+}
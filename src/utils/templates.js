@@ -1,16 +1,174 @@
 import fs from 'fs-extra';
+import os from 'os';
 import path from 'path';
 import { glob } from 'glob';
+import semver from 'semver';
 import { Logger } from './logger.js';
 import { ConfigManager } from './config.js';
+import { TemplateEngine } from './template-engine.js';
+import { runCommand } from './process.js';
+import { detectArchiveFormat, extractArchive, createArchive, downloadFile } from './archive.js';
+import { Git } from './git.js';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const logger = new Logger();
 const config = new ConfigManager();
+const templateEngine = new TemplateEngine();
+
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'react-basic',
+    framework: 'react',
+    description: 'Basic React application with modern tooling',
+    features: ['typescript', 'eslint', 'prettier'],
+    version: '1.0.0',
+    author: 'CodeGen CLI'
+  },
+  {
+    name: 'vue-starter',
+    framework: 'vue',
+    description: 'Vue.js starter template with composition API',
+    features: ['typescript', 'eslint', 'prettier'],
+    version: '1.0.0',
+    author: 'CodeGen CLI'
+  },
+  {
+    name: 'express-api',
+    framework: 'express',
+    description: 'Express.js REST API with middleware',
+    features: ['typescript', 'eslint', 'jest'],
+    version: '1.0.0',
+    author: 'CodeGen CLI'
+  },
+  {
+    name: 'vanilla-basic',
+    framework: 'vanilla',
+    description: 'Static HTML, CSS and JavaScript site',
+    features: ['eslint', 'prettier'],
+    version: '1.0.0',
+    author: 'CodeGen CLI'
+  }
+];
+
+export const BUILTIN_TEMPLATE_NAMES = DEFAULT_TEMPLATES.map(template => template.name);
+
+export const HOOK_NAMES = ['preGenerate', 'postGenerate', 'postInstall'];
+const DEFAULT_HOOK_TIMEOUT = 60000;
+export const TEMPLATE_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'template.schema.json');
+const templateSchema = fs.readJsonSync(TEMPLATE_SCHEMA_PATH);
+const validateTemplateSchema = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true }).compile(templateSchema);
+
+// Variables every template can use without declaring them
+export const CONTEXT_VARIABLES = [
+  'projectName',
+  'projectDescription',
+  'framework',
+  'packageManager',
+  'templateName',
+  'features',
+  'featureList',
+  'year'
+];
+const BUNDLE_FORMAT = 'codegen-template-bundle';
+
+export const EXPORT_FORMATS = {
+  zip: '.zip',
+  'tar.gz': '.tar.gz',
+  json: '.json'
+};
+
+export function parseTemplateSpecifier(specifier) {
+  const at = specifier.lastIndexOf('@');
+  if (at <= 0) {
+    return { name: specifier, range: null };
+  }
+  return { name: specifier.slice(0, at), range: specifier.slice(at + 1) || null };
+}
+
+function normalizeVersion(version) {
+  return semver.valid(version || '1.0.0') || semver.valid(semver.coerce(version)) || '0.0.0';
+}
+
+// Files that never belong in an installed template
+function isIgnoredTemplateFile(relativePath) {
+  return /(^|[\\/])(\.git|node_modules)([\\/]|$)/.test(relativePath);
+}
+
+function isGitSource(source) {
+  return /^(git@|git:\/\/|ssh:\/\/|file:\/\/)/.test(source) ||
+    source.endsWith('.git') ||
+    (/^https?:\/\//.test(source) && !detectArchiveFormat(source));
+}
+
+// Turns ajv errors into "features[1]: must be string" style messages. When a
+// value matches none of several shapes only that summary is kept.
+function formatSchemaErrors(errors = []) {
+  const summaries = new Map();
+  errors.filter(error => error.keyword === 'anyOf').forEach(error => summaries.set(error.instancePath, error));
+  const isUnder = (pointer, parent) => pointer === parent || pointer.startsWith(`${parent}/`);
+  const outermost = [...summaries.values()].filter(error => ![...summaries.keys()]
+    .some(pointer => pointer !== error.instancePath && isUnder(error.instancePath, pointer)));
+
+  const describeType = (type) => {
+    const types = String(type).split(',').map(name => (name === 'array' || name === 'object' ? `an ${name}` : `a ${name}`));
+    return types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}` : types[0];
+  };
+
+  const toPath = (pointer) => pointer
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((result, part) => (/^\d+$/.test(part) ? `${result}[${part}]` : result ? `${result}.${part}` : part), '');
+
+  const messages = errors
+    .filter(error => outermost.includes(error) ||
+      !outermost.some(summary => isUnder(error.instancePath, summary.instancePath)))
+    // An empty name is already reported, and propertyNames reports bad
+    // variable names on its own
+    .filter(error => !(error.keyword === 'pattern' && (error.data === '' || error.propertyName)))
+    .map(error => {
+      const location = toPath(error.instancePath);
+      switch (error.keyword) {
+        case 'required':
+          return `${location ? `${location}.` : ''}${error.params.missingProperty}: is required`;
+        case 'additionalProperties':
+          return `${location || 'template.json'}: unknown property "${error.params.additionalProperty}"`;
+        case 'type':
+          return `${location}: must be ${describeType(error.params.type)}`;
+        case 'minLength':
+          return `${location}: must not be empty`;
+        case 'pattern':
+          return location === 'name'
+            ? 'name: may only contain letters, numbers, ".", "_" and "-"'
+            : location === 'version'
+              ? 'version: must be a semantic version such as 1.0.0'
+              : `${location}: ${error.message}`;
+        case 'propertyNames':
+          return `${location}: "${error.params.propertyName}" is not a valid variable name`;
+        case 'anyOf':
+          return `${location}: ${error.parentSchema.description || 'has an invalid value'}`;
+        default:
+          return `${location || 'template.json'}: ${error.message}`;
+      }
+    });
+
+  return [...new Set(messages)];
+}
+
+// Treat files containing NUL bytes as binary and copy them untouched
+export function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
 
 export class TemplateManager {
   constructor() {
     this.templatesDir = null;
-    this.init();
+    // Public methods wait for this, so nothing reads the templates directory
+    // before it is known and the default templates exist
+    this.ready = this.init();
   }
 
   async init() {
@@ -24,74 +182,178 @@ export class TemplateManager {
       await fs.ensureDir(this.templatesDir);
       
       // Check if we have any templates, if not create default ones
-      const existingTemplates = await this.listTemplates();
+      const existingTemplates = await this.scanTemplates({ includeInvalid: true });
       if (existingTemplates.length === 0) {
-        await this.createDefaultTemplates();
+        await this.writeDefaultTemplates();
       }
     } catch (error) {
       logger.error('Failed to initialize templates:', error.message);
     }
   }
 
-  async createDefaultTemplates() {
-    const defaultTemplates = [
-      {
-        name: 'react-basic',
-        framework: 'react',
-        description: 'Basic React application with modern tooling',
-        features: ['typescript', 'eslint', 'prettier'],
-        version: '1.0.0',
-        author: 'CodeGen CLI'
-      },
-      {
-        name: 'vue-starter',
-        framework: 'vue',
-        description: 'Vue.js starter template with composition API',
-        features: ['typescript', 'eslint', 'prettier'],
-        version: '1.0.0',
-        author: 'CodeGen CLI'
-      },
-      {
-        name: 'express-api',
-        framework: 'express',
-        description: 'Express.js REST API with middleware',
-        features: ['typescript', 'eslint', 'jest'],
-        version: '1.0.0',
-        author: 'CodeGen CLI'
+  async createDefaultTemplates(options = {}) {
+    await this.ready;
+    return this.writeDefaultTemplates(options);
+  }
+
+  async writeDefaultTemplates(options = {}) {
+    const created = [];
+
+    for (const template of DEFAULT_TEMPLATES) {
+      const templateDir = path.join(this.templatesDir, template.name);
+
+      if (await fs.pathExists(templateDir)) {
+        if (!options.overwrite) continue;
+        await fs.remove(templateDir);
       }
-    ];
 
-    for (const template of defaultTemplates) {
-      await this.createTemplate(template);
+      await this.writeTemplate(template);
+      created.push(template.name);
     }
+
+    return created;
   }
 
-  async listTemplates() {
-    try {
-      const templateDirs = await fs.readdir(this.templatesDir);
-      const templates = [];
-
-      for (const dir of templateDirs) {
-        const templatePath = path.join(this.templatesDir, dir);
-        const configPath = path.join(templatePath, 'template.json');
-        
-        if (await fs.pathExists(configPath)) {
-          const templateConfig = await fs.readJson(configPath);
-          const files = await this.getTemplateFiles(templatePath);
-          
-          templates.push({
-            ...templateConfig,
-            files,
-            path: templatePath
-          });
-        }
+  isBuiltinTemplate(name) {
+    return BUILTIN_TEMPLATE_NAMES.includes(parseTemplateSpecifier(name).name);
+  }
+
+  async deleteTemplate(name, options = {}) {
+    await this.ready;
+    const template = await this.requireTemplate(name);
+
+    if (this.isBuiltinTemplate(template.name) && !options.force) {
+      throw new Error(`"${template.name}" is a built-in template. Use --force to delete it; restore it later with "codegen templates restore".`);
+    }
+
+    // Without a version, every installed version goes
+    const { range } = parseTemplateSpecifier(name);
+    const targets = range ? [template] : await this.listTemplateVersions(template.name);
+
+    for (const target of targets) {
+      await fs.remove(target.path);
+
+      const templateRoot = this.getTemplateRoot(target);
+      if (await fs.pathExists(templateRoot) && (await fs.readdir(templateRoot)).length === 0) {
+        await fs.remove(templateRoot);
       }
+    }
 
-      return templates;
+    return template;
+  }
+
+  // The folder in templatesDir a template was loaded from, which need not
+  // match its manifest name; versioned templates sit one level below it
+  getTemplateRoot(template) {
+    const [folder] = path.relative(this.templatesDir, template.path).split(path.sep);
+    return path.join(this.templatesDir, folder);
+  }
+
+  // Invalid manifests still load, with their problems listed in `errors`
+  async loadTemplate(templatePath, fallbackName) {
+    let templateConfig;
+    let errors;
+
+    try {
+      templateConfig = await fs.readJson(path.join(templatePath, 'template.json'));
+      errors = this.validateManifest(templateConfig);
+    } catch (error) {
+      templateConfig = {};
+      errors = [`template.json is not valid JSON: ${error.message}`];
+    }
+
+    const files = await this.getTemplateFiles(templatePath);
+
+    return {
+      ...templateConfig,
+      name: typeof templateConfig.name === 'string' && templateConfig.name ? templateConfig.name : fallbackName,
+      files,
+      path: templatePath,
+      ...(errors.length > 0 ? { errors } : {})
+    };
+  }
+
+  // Templates live either directly in <templatesDir>/<name>/ or, when several
+  // versions are installed side by side, in <templatesDir>/<name>/<version>/.
+  // Templates with an invalid template.json are left out with a warning
+  // unless `includeInvalid` is set.
+  async listAllTemplateVersions(options = {}) {
+    await this.ready;
+    return this.scanTemplates(options);
+  }
+
+  async scanTemplates(options = {}) {
+    let templateDirs;
+    try {
+      templateDirs = await fs.readdir(this.templatesDir);
     } catch (error) {
       logger.debug('Error listing templates:', error.message);
       return [];
     }
+
+    const templates = [];
+
+    for (const dir of templateDirs) {
+      const templatePath = path.join(this.templatesDir, dir);
+
+      if (await fs.pathExists(path.join(templatePath, 'template.json'))) {
+        templates.push(await this.loadTemplate(templatePath, dir));
+        continue;
+      }
+
+      if (!(await fs.stat(templatePath)).isDirectory()) {
+        continue;
+      }
+
+      for (const versionDir of await fs.readdir(templatePath)) {
+        const versionPath = path.join(templatePath, versionDir);
+        if (await fs.pathExists(path.join(versionPath, 'template.json'))) {
+          templates.push(await this.loadTemplate(versionPath, dir));
+        }
+      }
+    }
+
+    if (options.includeInvalid) {
+      return templates;
+    }
+
+    return templates.filter(template => {
+      if (template.errors) {
+        logger.warning(
+          `Skipping template "${template.name}" (${template.path}): ${template.errors[0]}` +
+          (template.errors.length > 1 ? ` and ${template.errors.length - 1} more problem(s). Run "codegen templates lint" for details.` : '')
+        );
+        return false;
+      }
+      return true;
+    });
+  }
+
+  async listTemplateVersions(name) {
+    const templates = await this.listAllTemplateVersions();
+    return templates
+      .filter(t => t.name === name)
+      .sort((a, b) => semver.rcompare(normalizeVersion(a.version), normalizeVersion(b.version)));
+  }
+
+  // Lists the latest installed version of each template
+  async listTemplates() {
+    const latest = new Map();
+
+    for (const template of await this.listAllTemplateVersions()) {
+      const versions = [...(latest.get(template.name)?.versions || []), template.version || '1.0.0'];
+      const current = latest.get(template.name);
+      const newest = !current || semver.gt(normalizeVersion(template.version), normalizeVersion(current.version))
+        ? template
+        : current;
+
+      latest.set(template.name, {
+        ...newest,
+        versions: versions.sort((a, b) => semver.rcompare(normalizeVersion(a), normalizeVersion(b)))
+      });
+    }
+
+    return [...latest.values()];
   }
 
   async getTemplateFiles(templatePath) {
@@ -108,12 +370,25 @@ export class TemplateManager {
   }
 
   async createTemplate(templateData) {
+    await this.ready;
+
+    // The folder may hold versions side by side; a template.json written at
+    // its root would hide them
+    if (await fs.pathExists(path.join(this.templatesDir, templateData.name))) {
+      throw new Error(`Template "${templateData.name}" is already installed. Delete it first or choose another name.`);
+    }
+
+    return this.writeTemplate(templateData);
+  }
+
+  async writeTemplate(templateData) {
     const templateDir = path.join(this.templatesDir, templateData.name);
     await fs.ensureDir(templateDir);
 
     // Save template configuration
     const templateConfig = {
       ...templateData,
+      source: 'local',
       createdAt: new Date().toISOString(),
       files: []
     };
@@ -124,6 +399,535 @@ export class TemplateManager {
     await this.generateTemplateFiles(templateDir, templateData);
   }
 
+  // Checks a manifest against src/schemas/template.schema.json
+  validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      return ['template.json must contain a JSON object'];
+    }
+
+    const errors = validateTemplateSchema(manifest) ? [] : formatSchemaErrors(validateTemplateSchema.errors);
+
+    if (typeof manifest.extends === 'string' && manifest.extends === manifest.name) {
+      errors.push('extends: a template cannot extend itself');
+    }
+
+    return errors;
+  }
+
+  // Finds what `codegen templates lint` should check: a template folder (any
+  // target containing a slash, or "."), every installed version of a name
+  // (or name@version), or everything installed
+  async findTemplatesToLint(target) {
+    if (target && (target === '.' || /[\\/]/.test(target))) {
+      if (!(await fs.pathExists(path.join(path.resolve(target), 'template.json')))) {
+        throw new Error(`No template.json found in ${path.resolve(target)}`);
+      }
+      return [await this.loadTemplate(path.resolve(target), path.basename(path.resolve(target)))];
+    }
+
+    const templates = await this.listAllTemplateVersions({ includeInvalid: true });
+    if (!target) {
+      return templates;
+    }
+
+    const { name, range } = parseTemplateSpecifier(target);
+    const matches = templates.filter(t => t.name === name && (!range || t.version === range));
+    if (matches.length === 0) {
+      throw new Error(`Template "${target}" not found`);
+    }
+    return matches;
+  }
+
+  // Reports what a template author should fix before publishing: manifest
+  // errors, broken inheritance, template syntax errors, placeholders that
+  // will not resolve and declared variables that no file uses
+  async lintTemplate(template) {
+    const errors = (template.errors || []).map(message => ({ file: 'template.json', message }));
+    const warnings = [];
+
+    try {
+      const manifest = await fs.readJson(path.join(template.path, 'template.json'));
+      const knownProperties = Object.keys(templateSchema.properties);
+      Object.keys(manifest)
+        .filter(key => !knownProperties.includes(key))
+        .forEach(key => warnings.push({ file: 'template.json', message: `unknown property "${key}"` }));
+    } catch (error) {
+      // Already reported by loadTemplate
+    }
+
+    // Inheritance is only followed once the manifest itself is valid
+    let effective = template;
+    let files;
+    try {
+      if (!template.errors) {
+        effective = await this.flattenTemplate(template);
+        files = await this.collectTemplateFiles(template);
+      }
+    } catch (error) {
+      errors.push({ file: 'template.json', message: error.message });
+    }
+
+    if (!files) {
+      const ownFiles = await glob('**/*', { cwd: template.path, ignore: ['template.json'], nodir: true, dot: true });
+      files = new Map(ownFiles.map(file => [file.split(path.sep).join('/'), path.join(template.path, file)]));
+    }
+
+    const declared = template.variables && typeof template.variables === 'object' ? template.variables : {};
+    const known = new Set([...CONTEXT_VARIABLES, ...Object.keys(template.errors ? declared : effective.variables || {})]);
+    const used = new Set();
+
+    for (const [file, sourcePath] of files) {
+      const own = sourcePath.startsWith(template.path + path.sep);
+      const sources = [{ content: file, location: file, isPath: true }];
+
+      const buffer = await fs.readFile(sourcePath);
+      if (!isBinary(buffer)) {
+        sources.push({ content: buffer.toString('utf-8'), location: file });
+      }
+
+      for (const { content, location, isPath } of sources) {
+        let references;
+        try {
+          references = templateEngine.references(content);
+        } catch (error) {
+          if (own) errors.push({ file: location, message: `${isPath ? 'file name: ' : ''}${error.message}` });
+          continue;
+        }
+
+        for (const reference of references) {
+          used.add(reference.name);
+
+          // Non-identifiers such as JSX style objects are clearly not meant as
+          // placeholders and are left alone
+          if (own && !known.has(reference.name) && /^[A-Za-z_$][\w$]*$/.test(reference.name)) {
+            warnings.push({
+              file: location,
+              line: isPath ? undefined : reference.line,
+              message: `{{${reference.expression}}} does not resolve and will be left as is ` +
+                '(declare it under "variables" or escape it as \\{{)'
+            });
+          }
+        }
+      }
+    }
+
+    Object.keys(declared)
+      .filter(name => !used.has(name))
+      .forEach(name => warnings.push({ file: 'template.json', message: `variables.${name} is declared but never used` }));
+
+    return { errors, warnings };
+  }
+
+  // Copies, extracts, downloads or clones `source` into `stagingPath`
+  async fetchTemplateSource(source, stagingPath, options = {}) {
+    if (/^https?:\/\//.test(source) && /\.json([?#]|$)/i.test(source)) {
+      const bundlePath = path.join(stagingPath, 'download.json');
+      await downloadFile(source, bundlePath);
+      await this.unpackBundle(await fs.readJson(bundlePath), path.join(stagingPath, 'source'));
+      return path.join(stagingPath, 'source');
+    }
+
+    if (/^https?:\/\//.test(source) && detectArchiveFormat(source)) {
+      const archivePath = path.join(stagingPath, `download.${detectArchiveFormat(source)}`);
+      await downloadFile(source, archivePath);
+      await extractArchive(archivePath, path.join(stagingPath, 'source'));
+      return path.join(stagingPath, 'source');
+    }
+
+    if (options.git || isGitSource(source)) {
+      const clonePath = path.join(stagingPath, 'source');
+      await new Git(stagingPath).clone(source, clonePath);
+      return clonePath;
+    }
+
+    const sourcePath = path.resolve(source);
+    if (!(await fs.pathExists(sourcePath))) {
+      throw new Error(`Template source not found: ${source}`);
+    }
+
+    if ((await fs.stat(sourcePath)).isDirectory()) {
+      return sourcePath;
+    }
+
+    if (sourcePath.toLowerCase().endsWith('.json')) {
+      await this.unpackBundle(await fs.readJson(sourcePath), path.join(stagingPath, 'source'));
+      return path.join(stagingPath, 'source');
+    }
+
+    await extractArchive(sourcePath, path.join(stagingPath, 'source'));
+    return path.join(stagingPath, 'source');
+  }
+
+  // Archives often wrap everything in a single top-level folder, so use the
+  // shallowest template.json found
+  async findTemplateRoot(sourcePath) {
+    if (await fs.pathExists(path.join(sourcePath, 'template.json'))) {
+      return sourcePath;
+    }
+
+    const manifests = await glob('**/template.json', {
+      cwd: sourcePath,
+      ignore: ['**/node_modules/**', '**/.git/**']
+    });
+
+    if (manifests.length === 0) {
+      throw new Error('No template.json found in the template source');
+    }
+
+    manifests.sort((a, b) => a.split('/').length - b.split('/').length);
+    return path.join(sourcePath, path.dirname(manifests[0]));
+  }
+
+  // Installs go to <name>/<version>/ so other versions stay available. A
+  // template still stored in the single-version layout is moved into its
+  // own version folder first.
+  async prepareVersionDirectory(manifest, options = {}) {
+    await this.ready;
+    const version = manifest.version || '1.0.0';
+    const templateRoot = path.join(this.templatesDir, manifest.name);
+    const legacyManifestPath = path.join(templateRoot, 'template.json');
+
+    if (await fs.pathExists(legacyManifestPath)) {
+      const legacyVersion = (await fs.readJson(legacyManifestPath)).version || '1.0.0';
+      const stagingPath = `${templateRoot}.migrating`;
+
+      await fs.move(templateRoot, stagingPath, { overwrite: true });
+      await fs.move(stagingPath, path.join(templateRoot, legacyVersion));
+    }
+
+    const targetDir = path.join(templateRoot, version);
+    if (await fs.pathExists(targetDir)) {
+      if (!options.force) {
+        throw new Error(`Template "${manifest.name}" version ${version} already exists. Use --force to replace it.`);
+      }
+      await fs.remove(targetDir);
+    }
+
+    return targetDir;
+  }
+
+  async importTemplate(source, options = {}) {
+    const stagingPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-import-'));
+
+    try {
+      const sourcePath = await this.fetchTemplateSource(source, stagingPath, options);
+      const templateRoot = await this.findTemplateRoot(sourcePath);
+
+      let manifest;
+      try {
+        manifest = await fs.readJson(path.join(templateRoot, 'template.json'));
+      } catch (error) {
+        throw new Error(`Invalid template.json: ${error.message}`);
+      }
+
+      // A registry archive must hold the release the index promised
+      if (options.expect && (manifest.name !== options.expect.name || manifest.version !== options.expect.version)) {
+        throw new Error(
+          `Archive contains ${manifest.name || 'an unnamed template'}@${manifest.version || 'no version'}, ` +
+          `not ${options.expect.name}@${options.expect.version} as listed in the registry; refusing to install it`
+        );
+      }
+
+      if (options.name) {
+        manifest.name = options.name;
+      }
+
+      const errors = this.validateManifest(manifest);
+      if (errors.length > 0) {
+        throw new Error(`Invalid template.json:\n  - ${errors.join('\n  - ')}`);
+      }
+
+      const targetDir = await this.prepareVersionDirectory(manifest, options);
+
+      await fs.copy(templateRoot, targetDir, {
+        filter: (file) => !isIgnoredTemplateFile(path.relative(templateRoot, file))
+      });
+
+      // Record where the template came from; this also marks it as not
+      // created locally, whatever the archive claimed
+      const installedManifest = {
+        ...manifest,
+        source,
+        ...(options.registry ? { registry: options.registry } : {}),
+        importedAt: new Date().toISOString()
+      };
+      await fs.writeJson(path.join(targetDir, 'template.json'), installedManifest, { spaces: 2 });
+
+      return { ...installedManifest, path: targetDir };
+    } finally {
+      await fs.remove(stagingPath);
+    }
+  }
+
+  async createBundle(template) {
+    const files = [];
+
+    for (const file of (await glob('**/*', { cwd: template.path, nodir: true, dot: true })).sort()) {
+      if (file === 'template.json' || isIgnoredTemplateFile(file)) {
+        continue;
+      }
+
+      const buffer = await fs.readFile(path.join(template.path, file));
+      const binary = isBinary(buffer);
+      files.push({
+        path: file,
+        encoding: binary ? 'base64' : 'utf-8',
+        content: buffer.toString(binary ? 'base64' : 'utf-8')
+      });
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      formatVersion: 1,
+      exportedAt: new Date().toISOString(),
+      manifest: await fs.readJson(path.join(template.path, 'template.json')),
+      files
+    };
+  }
+
+  async unpackBundle(bundle, targetDir) {
+    if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.files)) {
+      throw new Error('Not a CodeGen template bundle');
+    }
+
+    await fs.ensureDir(targetDir);
+    await fs.writeJson(path.join(targetDir, 'template.json'), bundle.manifest || {}, { spaces: 2 });
+
+    for (const file of bundle.files) {
+      const targetPath = path.resolve(targetDir, file.path);
+
+      // Refuse entries that would escape the target directory
+      if (!targetPath.startsWith(path.resolve(targetDir) + path.sep)) {
+        throw new Error(`Invalid file path in bundle: ${file.path}`);
+      }
+
+      await fs.ensureDir(path.dirname(targetPath));
+      await fs.writeFile(targetPath, Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf-8'));
+    }
+  }
+
+  async exportTemplate(name, options = {}) {
+    const format = options.format || 'zip';
+
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unsupported export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const template = await this.getTemplate(name);
+    if (!template) {
+      throw new Error(`Template "${name}" not found`);
+    }
+
+    const outputPath = path.resolve(options.output || `${template.name}${EXPORT_FORMATS[format]}`);
+
+    if (format === 'json') {
+      await fs.outputJson(outputPath, await this.createBundle(template), { spaces: 2 });
+    } else {
+      await createArchive(template.path, outputPath, format, {
+        folderName: template.name,
+        filter: (file) => !isIgnoredTemplateFile(file)
+      });
+    }
+
+    return outputPath;
+  }
+
+  async requireTemplate(name) {
+    const template = await this.getTemplate(name);
+    if (!template) {
+      throw new Error(`Template "${name}" not found`);
+    }
+    return template;
+  }
+
+  // Resolves a path inside a template, refusing anything that escapes it or
+  // touches the manifest
+  resolveTemplateFile(template, relativePath) {
+    const root = path.resolve(template.path);
+    const filePath = path.resolve(root, relativePath);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Path "${relativePath}" is outside the template`);
+    }
+    if (path.relative(root, filePath) === 'template.json') {
+      throw new Error('Edit template.json through the configuration option instead');
+    }
+
+    return filePath;
+  }
+
+  async updateManifest(name, updates) {
+    const template = await this.requireTemplate(name);
+    const manifestPath = path.join(template.path, 'template.json');
+    const manifest = { ...(await fs.readJson(manifestPath)), ...updates, updatedAt: new Date().toISOString() };
+
+    const errors = this.validateManifest(manifest);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template.json:\n  - ${errors.join('\n  - ')}`);
+    }
+    if (manifest.name !== template.name) {
+      throw new Error('Renaming a template is not supported; export and import it under a new name');
+    }
+
+    await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+    return manifest;
+  }
+
+  // Regenerates the framework files for the old and new feature sets and
+  // applies the difference, leaving files the author has edited alone
+  async setTemplateFeatures(name, features) {
+    const template = await this.requireTemplate(name);
+    const previousFeatures = template.features || [];
+    const stagingPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-modify-'));
+    const result = { added: [], updated: [], removed: [], kept: [] };
+
+    try {
+      const before = path.join(stagingPath, 'before');
+      const after = path.join(stagingPath, 'after');
+      await fs.ensureDir(before);
+      await fs.ensureDir(after);
+      await this.generateTemplateFiles(before, { ...template, features: previousFeatures });
+      await this.generateTemplateFiles(after, { ...template, features });
+
+      const beforeFiles = await this.getTemplateFiles(before);
+      const afterFiles = await this.getTemplateFiles(after);
+      const readIfExists = async (file) => (await fs.pathExists(file) ? fs.readFile(file, 'utf-8') : null);
+
+      for (const file of beforeFiles.filter(f => !afterFiles.includes(f))) {
+        const current = await readIfExists(path.join(template.path, file));
+        if (current === null) continue;
+
+        if (current === await fs.readFile(path.join(before, file), 'utf-8')) {
+          await fs.remove(path.join(template.path, file));
+          result.removed.push(file);
+        } else {
+          result.kept.push(file);
+        }
+      }
+
+      for (const file of afterFiles) {
+        const generated = await fs.readFile(path.join(after, file), 'utf-8');
+        const previous = beforeFiles.includes(file) ? await fs.readFile(path.join(before, file), 'utf-8') : null;
+        const current = await readIfExists(path.join(template.path, file));
+
+        if (generated === previous || current === generated) continue;
+
+        if (current !== null && current !== previous) {
+          result.kept.push(file);
+          continue;
+        }
+
+        await fs.outputFile(path.join(template.path, file), generated);
+        result[current === null ? 'added' : 'updated'].push(file);
+      }
+    } finally {
+      await fs.remove(stagingPath);
+    }
+
+    await this.updateManifest(name, { features });
+    return result;
+  }
+
+  async addTemplateFile(name, relativePath, content = '') {
+    const template = await this.requireTemplate(name);
+    const filePath = this.resolveTemplateFile(template, relativePath);
+
+    if (await fs.pathExists(filePath)) {
+      throw new Error(`File "${relativePath}" already exists in template "${name}"`);
+    }
+
+    await fs.outputFile(filePath, content);
+    return filePath;
+  }
+
+  async removeTemplateFile(name, relativePath) {
+    const template = await this.requireTemplate(name);
+    const filePath = this.resolveTemplateFile(template, relativePath);
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`File "${relativePath}" not found in template "${name}"`);
+    }
+
+    await fs.remove(filePath);
+  }
+
+  async renameTemplateFile(name, fromPath, toPath) {
+    const template = await this.requireTemplate(name);
+    const source = this.resolveTemplateFile(template, fromPath);
+    const target = this.resolveTemplateFile(template, toPath);
+
+    if (!(await fs.pathExists(source))) {
+      throw new Error(`File "${fromPath}" not found in template "${name}"`);
+    }
+    if (await fs.pathExists(target)) {
+      throw new Error(`File "${toPath}" already exists in template "${name}"`);
+    }
+
+    await fs.move(source, target);
+  }
+
+  // A copy of the template's files, so in-place modifications can be turned
+  // into a new version with `bumpTemplateVersion(..., { previousPath })`
+  async snapshotTemplate(name) {
+    const template = await this.requireTemplate(name);
+    const snapshotPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-snapshot-'));
+    await fs.copy(template.path, snapshotPath);
+    return snapshotPath;
+  }
+
+  // Installs the template as a new version next to the current one, so
+  // projects generated from the current version can still be updated. When
+  // the changes were made in place, `previousPath` (from snapshotTemplate)
+  // puts the current version back the way it was.
+  async bumpTemplateVersion(name, release, changes, options = {}) {
+    const template = await this.requireTemplate(name);
+    const currentVersion = template.version || '1.0.0';
+    const [major, minor, patch] = currentVersion.split('.').map(part => parseInt(part, 10) || 0);
+    const version = {
+      major: `${major + 1}.0.0`,
+      minor: `${major}.${minor + 1}.0`,
+      patch: `${major}.${minor}.${patch + 1}`
+    }[release];
+
+    if (!version) {
+      throw new Error(`Unknown release type "${release}". Use major, minor or patch`);
+    }
+
+    const manifest = {
+      ...(await fs.readJson(path.join(template.path, 'template.json'))),
+      version,
+      changelog: [
+        { version, date: new Date().toISOString().slice(0, 10), changes },
+        ...(template.changelog || [])
+      ],
+      updatedAt: new Date().toISOString()
+    };
+
+    const errors = this.validateManifest(manifest);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template.json:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const templateRoot = path.join(this.templatesDir, template.name);
+    if (await fs.pathExists(path.join(templateRoot, version))) {
+      throw new Error(`Template "${name}" version ${version} is already installed`);
+    }
+
+    // Moves a single-version template into its own version folder first
+    const targetDir = await this.prepareVersionDirectory(manifest);
+    const currentPath = template.path === templateRoot ? path.join(templateRoot, currentVersion) : template.path;
+
+    await fs.copy(currentPath, targetDir);
+    await fs.writeJson(path.join(targetDir, 'template.json'), manifest, { spaces: 2 });
+
+    if (options.previousPath) {
+      await fs.emptyDir(currentPath);
+      await fs.copy(options.previousPath, currentPath);
+    }
+
+    return manifest;
+  }
+
   async generateTemplateFiles(templateDir, templateData) {
     const { framework, features } = templateData;
 
@@ -160,7 +964,7 @@ function App() {
     <div className="App">
       <header className="App-header">
         <h1>Welcome to {{projectName}}</h1>
-        <p>A React application generated with CodeGen CLI</p>
+        <p>{{default projectDescription "A React application generated with CodeGen CLI"}}</p>
       </header>
     </div>
   );
@@ -273,7 +1077,7 @@ export default defineConfig({
   <div id="app">
     <header>
       <h1>Welcome to {{projectName}}</h1>
-      <p>A Vue.js application generated with CodeGen CLI</p>
+      <p>{{default projectDescription "A Vue.js application generated with CodeGen CLI"}}</p>
     </header>
   </div>
 </template>
@@ -391,7 +1195,7 @@ ${isTypeScript ? 'export default app;' : 'module.exports = app;'}`;
 <body>
     <div class="container">
         <h1>Welcome to {{projectName}}</h1>
-        <p>A vanilla JavaScript project generated with CodeGen CLI</p>
+        <p>{{default projectDescription "A vanilla JavaScript project generated with CodeGen CLI"}}</p>
         <button id="clickBtn">Click me!</button>
         <p id="message"></p>
     </div>
@@ -459,23 +1263,27 @@ button:hover {
   async createGenericTemplate(templateDir, features) {
     const readmeContent = `# {{projectName}}
 
-A project generated with CodeGen CLI
+{{default projectDescription "A project generated with CodeGen CLI"}}
 
 ## Getting Started
 
 1. Install dependencies:
    \`\`\`bash
-   npm install
+   {{packageManager}} install
    \`\`\`
 
 2. Start development:
    \`\`\`bash
-   npm run dev
+   {{packageManager}} run dev
    \`\`\`
 
 ## Features
 
-${features.map(feature => `- ${feature}`).join('\n')}
+{{#each featureList}}
+- {{this}}
+{{else}}
+- None
+{{/each}}
 
 ## License
 
@@ -485,172 +1293,330 @@ MIT
     await fs.writeFile(path.join(templateDir, 'README.md'), readmeContent);
   }
 
-  async generateFromTemplate(framework, projectName, projectDetails) {
-    const templates = await this.listTemplates();
-    const template = templates.find(t => t.framework === framework) || templates[0];
+  // Accepts "name", "name@latest", "name@1.2.0" or "name@^1.0.0"
+  async getTemplate(specifier) {
+    await this.ready;
+    const { name, range } = parseTemplateSpecifier(specifier);
+    const versions = await this.listTemplateVersions(name);
 
-    if (!template) {
-      throw new Error(`No template found for framework: ${framework}`);
+    if (!range || range === 'latest') {
+      return versions[0] || null;
+    }
+
+    if (!semver.validRange(range)) {
+      throw new Error(`Invalid version range "${range}" for template "${name}"`);
     }
 
-    await this.scaffoldFromTemplate(template, projectName, projectDetails);
+    const match = semver.maxSatisfying(versions.map(t => normalizeVersion(t.version)), range);
+    return versions.find(t => normalizeVersion(t.version) === match) || null;
   }
 
-  async scaffoldFromTemplate(template, projectName, projectDetails) {
-    const templatePath = template.path;
-    const files = await glob('**/*', {
-      cwd: templatePath,
-      ignore: ['template.json'],
-      nodir: true
-    });
+  async findTemplatesForFramework(framework) {
+    const templates = await this.listTemplates();
+    return templates.filter(t => !framework || t.framework === framework);
+  }
 
-    for (const file of files) {
-      const sourcePath = path.join(templatePath, file);
-      const targetPath = path.join(projectName, file);
+  async resolveTemplate(framework, templateName) {
+    if (templateName) {
+      const template = await this.getTemplate(templateName);
+
+      if (!template) {
+        const { name, range } = parseTemplateSpecifier(templateName);
+        const installed = await this.listTemplateVersions(name);
+        if (range && installed.length > 0) {
+          throw new Error(
+            `No version of template "${name}" matches ${range} ` +
+            `(installed: ${installed.map(t => t.version || '1.0.0').join(', ')})`
+          );
+        }
 
-      await fs.ensureDir(path.dirname(targetPath));
+        const available = (await this.findTemplatesForFramework(framework)).map(t => t.name);
+        throw new Error(
+          `Template "${templateName}" not found. ` +
+          (available.length > 0
+            ? `Available templates${framework ? ` for ${framework}` : ''}: ${available.join(', ')}`
+            : `No templates are installed${framework ? ` for ${framework}` : ''}`)
+        );
+      }
 
-      let content = await fs.readFile(sourcePath, 'utf-8');
-      
-      // Replace template variables
-      content = content.replace(/\{\{projectName\}\}/g, projectName);
-      content = content.replace(/\{\{projectDescription\}\}/g, projectDetails.description || '');
-      
-      await fs.writeFile(targetPath, content);
+      if (framework && template.framework !== framework) {
+        throw new Error(`Template "${templateName}" is for ${template.framework}, not ${framework}`);
+      }
+
+      return this.flattenTemplate(template);
     }
+
+    // Without an explicit choice, prefer the template flagged as the
+    // framework default in its template.json, then the first match
+    const candidates = await this.findTemplatesForFramework(framework);
+    const template = candidates.find(t => t.default) || candidates[0];
+
+    if (template) {
+      return this.flattenTemplate(template);
+    }
+
+    // Another framework's template would produce the wrong project
+    throw new Error(
+      `No template found for framework: ${framework}. Create one with "codegen templates", ` +
+      'or run "codegen templates restore" to reinstall the built-in templates.'
+    );
   }
 
-  async addFeature(projectPath, feature, projectDetails) {
-    switch (feature) {
-      case 'eslint':
-        await this.addESLint(projectPath, projectDetails);
-        break;
-      case 'prettier':
-        await this.addPrettier(projectPath);
-        break;
-      case 'jest':
-        await this.addJest(projectPath, projectDetails);
-        break;
-      case 'tailwind':
-        await this.addTailwind(projectPath, projectDetails);
-        break;
-      case 'docker':
-        await this.addDocker(projectPath, projectDetails);
-        break;
-      default:
-        logger.debug(`Feature ${feature} not implemented yet`);
+  // Follows "extends" up to the root template. The chain lists the root
+  // first so later entries override earlier ones.
+  async resolveTemplateChain(template) {
+    const chain = [template];
+    let current = template;
+
+    while (current.extends) {
+      const parent = await this.getTemplate(current.extends);
+
+      if (!parent) {
+        throw new Error(`Template "${current.name}" extends "${current.extends}", which is not installed`);
+      }
+
+      if (chain.some(t => t.path === parent.path)) {
+        const cycle = [...chain].reverse().concat(parent).map(t => `${t.name}@${t.version || '1.0.0'}`).join(' -> ');
+        throw new Error(`Template inheritance cycle: ${cycle}`);
+      }
+
+      chain.unshift(parent);
+      current = parent;
     }
+
+    return chain;
   }
 
-  async addESLint(projectPath, projectDetails) {
-    const eslintConfig = {
-      env: {
-        browser: true,
-        es2021: true,
-        node: true
-      },
-      extends: [
-        'eslint:recommended'
-      ],
-      parserOptions: {
-        ecmaVersion: 12,
-        sourceType: 'module'
-      },
-      rules: {}
+  // Merges default features, variables and hooks down the chain. Hooks only keep the
+  // child's trust when every template in the chain is local.
+  async flattenTemplate(template) {
+    const chain = await this.resolveTemplateChain(template);
+
+    if (chain.length === 1) {
+      return template;
+    }
+
+    const untrusted = chain.find(t => !this.isLocalTemplate(t));
+
+    return {
+      ...template,
+      features: [...new Set(chain.flatMap(t => t.features || []))],
+      hooks: Object.assign({}, ...chain.map(t => t.hooks || {})),
+      variables: Object.assign({}, ...chain.map(t => t.variables || {})),
+      source: untrusted ? (untrusted.source || untrusted.path) : template.source,
+      inherits: chain.slice(0, -1).map(t => t.name)
     };
+  }
+
+  // Maps each output file to the template it comes from. A template's
+  // removeFiles patterns drop files inherited from its ancestors before its
+  // own files are laid over them.
+  async collectTemplateFiles(template) {
+    const chain = await this.resolveTemplateChain(template);
+    const files = new Map();
 
-    if (projectDetails.framework === 'react') {
-      eslintConfig.extends.push('@eslint/js/recommended', 'plugin:react/recommended');
-      eslintConfig.plugins = ['react'];
-      eslintConfig.settings = {
-        react: {
-          version: 'detect'
+    for (const [index, layer] of chain.entries()) {
+      const patterns = (layer.removeFiles || []).flatMap(pattern => [pattern, `${pattern.replace(/\/+$/, '')}/**`]);
+
+      if (patterns.length > 0) {
+        for (const ancestor of chain.slice(0, index)) {
+          const removed = await glob(patterns, { cwd: ancestor.path, nodir: true, dot: true });
+          removed.forEach(file => files.delete(file.split(path.sep).join('/')));
         }
-      };
+      }
+
+      const layerFiles = await glob('**/*', {
+        cwd: layer.path,
+        ignore: ['template.json'],
+        nodir: true,
+        dot: true
+      });
+
+      for (const file of layerFiles) {
+        files.set(file.split(path.sep).join('/'), path.join(layer.path, file));
+      }
     }
 
-    await fs.writeJson(path.join(projectPath, '.eslintrc.json'), eslintConfig, { spaces: 2 });
+    return files;
   }
 
-  async addPrettier(projectPath) {
-    const prettierConfig = {
-      semi: true,
-      trailingComma: 'es5',
-      singleQuote: true,
-      printWidth: 80,
-      tabWidth: 2
-    };
+  async generateFromTemplate(framework, targetDir, projectDetails) {
+    const template = await this.resolveTemplate(framework, projectDetails.template);
 
-    await fs.writeJson(path.join(projectPath, '.prettierrc'), prettierConfig, { spaces: 2 });
+    logger.info(`Using template "${template.name}"`);
+    await this.scaffoldFromTemplate(template, targetDir, projectDetails);
+
+    return template;
   }
 
-  async addJest(projectPath, projectDetails) {
-    const jestConfig = {
-      testEnvironment: 'node'
+  buildTemplateContext(projectDetails = {}, template = {}) {
+    const featureList = projectDetails.features || [];
+
+    const defaults = Object.fromEntries(Object.entries(template.variables || {})
+      .filter(([, variable]) => variable && variable.default !== undefined)
+      .map(([name, variable]) => [name, variable.default]));
+
+    return {
+      ...defaults,
+      ...(projectDetails.variables || {}),
+      projectName: projectDetails.name,
+      projectDescription: projectDetails.description || '',
+      framework: projectDetails.framework || template.framework,
+      packageManager: projectDetails.packageManager || 'npm',
+      templateName: template.name,
+      features: Object.fromEntries(featureList.map(feature => [feature, true])),
+      featureList,
+      year: new Date().getFullYear()
     };
+  }
+
+  async scaffoldFromTemplate(template, targetDir, projectDetails) {
+    const context = this.buildTemplateContext(projectDetails, template);
+    const files = await this.collectTemplateFiles(template);
+
+    for (const [file, sourcePath] of files) {
+      // File and directory names may contain placeholders; an empty segment
+      // means the file is conditional and was switched off
+      const targetFile = templateEngine.renderPath(file, context);
+      if (!targetFile) {
+        logger.debug(`Skipping ${file}`);
+        continue;
+      }
+
+      const targetPath = path.resolve(targetDir, targetFile);
+      const relativePath = path.relative(path.resolve(targetDir), targetPath);
+      if (!relativePath || relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+        throw new Error(`Refusing to write ${file} to ${targetPath}, outside ${targetDir}`);
+      }
 
-    if (projectDetails.framework === 'react') {
-      jestConfig.testEnvironment = 'jsdom';
-      jestConfig.setupFilesAfterEnv = ['<rootDir>/src/setupTests.js'];
+      await fs.ensureDir(path.dirname(targetPath));
+
+      const buffer = await fs.readFile(sourcePath);
+      if (isBinary(buffer)) {
+        await fs.writeFile(targetPath, buffer);
+        continue;
+      }
+
+      try {
+        await fs.writeFile(targetPath, templateEngine.render(buffer.toString('utf-8'), context));
+      } catch (error) {
+        throw new Error(`Failed to render ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  // Hooks are declared in template.json as a command string, a list of
+  // commands, or { command, timeout } objects
+  getHooks(template, hookName) {
+    const declared = template.hooks?.[hookName];
+    if (!declared) {
+      return [];
     }
 
-    await fs.writeJson(path.join(projectPath, 'jest.config.json'), jestConfig, { spaces: 2 });
+    return (Array.isArray(declared) ? declared : [declared]).map(hook => (
+      typeof hook === 'string'
+        ? { command: hook, timeout: DEFAULT_HOOK_TIMEOUT }
+        : { command: hook.command, timeout: hook.timeout || DEFAULT_HOOK_TIMEOUT }
+    ));
   }
 
-  async addTailwind(projectPath, projectDetails) {
-    const tailwindConfig = `/** @type {import('tailwindcss').Config} */
-export default {
-  content: [
-    "./index.html",
-    "./src/**/*.{js,ts,jsx,tsx,vue}",
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-}`;
+  hasHooks(template) {
+    return HOOK_NAMES.some(hookName => this.getHooks(template, hookName).length > 0);
+  }
 
-    await fs.writeFile(path.join(projectPath, 'tailwind.config.js'), tailwindConfig);
+  // Templates written by createTemplate are trusted; anything imported or
+  // copied in needs the user's consent before its hooks run
+  isLocalTemplate(template) {
+    return template.source === 'local';
+  }
 
-    // Add Tailwind directives to CSS
-    const cssPath = path.join(projectPath, 'src/index.css');
-    if (await fs.pathExists(cssPath)) {
-      const existingCSS = await fs.readFile(cssPath, 'utf-8');
-      const tailwindDirectives = `@tailwind base;
-@tailwind components;
-@tailwind utilities;
+  getHookEnvironment(template, projectDetails) {
+    const env = {
+      CODEGEN_PROJECT_NAME: projectDetails.name,
+      CODEGEN_PROJECT_DESCRIPTION: projectDetails.description || '',
+      CODEGEN_PROJECT_PATH: projectDetails.projectPath,
+      CODEGEN_FRAMEWORK: projectDetails.framework,
+      CODEGEN_FEATURES: (projectDetails.features || []).join(','),
+      CODEGEN_PACKAGE_MANAGER: projectDetails.packageManager || 'npm',
+      CODEGEN_TEMPLATE: template.name,
+      CODEGEN_TEMPLATE_PATH: template.path
+    };
 
-`;
-      await fs.writeFile(cssPath, tailwindDirectives + existingCSS);
+    // The same values the files were rendered with, defaults included
+    const context = this.buildTemplateContext(projectDetails, template);
+    const variableNames = new Set([
+      ...Object.keys(template.variables || {}),
+      ...Object.keys(projectDetails.variables || {})
+    ]);
+
+    for (const key of variableNames) {
+      const value = context[key];
+      if (value === undefined) {
+        continue;
+      }
+
+      const envKey = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^a-zA-Z0-9]/g, '_').toUpperCase();
+      env[`CODEGEN_VAR_${envKey}`] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    return env;
+  }
+
+  async runHook(template, hookName, cwd, projectDetails, options = {}) {
+    const hooks = this.getHooks(template, hookName);
+    const env = this.getHookEnvironment(template, projectDetails);
+
+    for (const hook of hooks) {
+      logger.info(`Running ${hookName} hook: ${hook.command}`);
+
+      try {
+        await runCommand(hook.command, [], {
+          cwd,
+          env,
+          shell: true,
+          timeout: hook.timeout,
+          onOutput: (line) => {
+            logger.log(`  ${line}`);
+            options.onOutput?.(line);
+          }
+        });
+      } catch (error) {
+        throw new Error(`${hookName} hook failed: ${error.message}`);
+      }
     }
   }
 
-  async addDocker(projectPath, projectDetails) {
-    const dockerfile = `FROM node:18-alpine
+  async addGitignore(projectPath, projectDetails, featureSections = []) {
+    const gitignorePath = path.join(projectPath, '.gitignore');
 
-WORKDIR /app
+    // Templates may ship their own .gitignore
+    if (await fs.pathExists(gitignorePath)) {
+      return;
+    }
 
-COPY package*.json ./
-RUN npm ci --only=production
+    const sections = [
+      ['# Dependencies', 'node_modules/', '.pnp', '.pnp.js'],
+      ['# Logs', 'logs', '*.log', 'npm-debug.log*', 'yarn-debug.log*', 'yarn-error.log*', 'pnpm-debug.log*'],
+      ['# Environment', '.env', '.env.local', '.env.*.local']
+    ];
 
-COPY . .
+    const frameworkIgnores = {
+      react: ['# Build output', 'dist/', 'dist-ssr/', '*.local'],
+      vue: ['# Build output', 'dist/', 'dist-ssr/', '*.local'],
+      svelte: ['# Build output', 'dist/', '.svelte-kit/', '*.local'],
+      angular: ['# Build output', 'dist/', '.angular/'],
+      nextjs: ['# Build output', '.next/', 'out/', 'next-env.d.ts'],
+      nuxtjs: ['# Build output', '.nuxt/', '.output/', 'dist/'],
+      express: ['# Build output', 'dist/'],
+      vanilla: ['# Build output', 'dist/']
+    };
 
-EXPOSE 3000
+    sections.push(frameworkIgnores[projectDetails.framework] || ['# Build output', 'dist/', 'build/']);
 
-CMD ["npm", "start"]`;
+    sections.push(...featureSections);
 
-    const dockerIgnore = `node_modules
-npm-debug.log
-.git
-.gitignore
-README.md
-.env
-.nyc_output
-coverage
-.nyc_output
-.vscode`;
+    sections.push(['# Editor and OS files', '.vscode/*', '!.vscode/extensions.json', '.idea/', '.DS_Store', 'Thumbs.db']);
 
-    await fs.writeFile(path.join(projectPath, 'Dockerfile'), dockerfile);
-    await fs.writeFile(path.join(projectPath, '.dockerignore'), dockerIgnore);
+    await fs.writeFile(gitignorePath, sections.map(section => section.join('\n')).join('\n\n') + '\n');
   }
 }
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { FeatureRegistry } from '../src/utils/feature-registry.js';
+
+// No plugins, so only the built-in features are available
+const registry = new FeatureRegistry({ pluginsDir: path.join(os.tmpdir(), 'codegen-no-plugins') });
+
+test('resolve adds the features a selected feature requires', async () => {
+  const { features, added } = await registry.resolve('express', ['jest']);
+
+  assert.deepEqual(features, ['jest', 'typescript']);
+  assert.deepEqual(added, [{ name: 'typescript', requiredBy: 'jest' }]);
+});
+
+test('resolve does not report a required feature that was also selected', async () => {
+  const { features, added } = await registry.resolve('express', ['typescript', 'jest']);
+
+  assert.deepEqual(features, ['typescript', 'jest']);
+  assert.deepEqual(added, []);
+});
+
+test('resolve skips features that do not apply to the framework', async () => {
+  const { features, warnings } = await registry.resolve('express', ['tailwind', 'eslint']);
+
+  assert.deepEqual(features, ['eslint']);
+  assert.match(warnings[0], /Tailwind CSS does not apply to express projects/);
+});
+
+test('resolve ignores unknown features with a warning', async () => {
+  const { features, warnings } = await registry.resolve('react', ['no-such-feature']);
+
+  assert.deepEqual(features, []);
+  assert.deepEqual(warnings, ['Unknown feature "no-such-feature" was ignored']);
+});
+
+test('resolve rejects conflicting features', async () => {
+  await assert.rejects(
+    registry.resolve('react', ['cypress', 'playwright']),
+    /Features "cypress" and "playwright" cannot be used together/
+  );
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { PackageManager } from '../src/utils/package-manager.js';
+
+// Stands in for npm: prints its arguments and the directory it ran in, and
+// exits with STUB_EXIT_CODE
+const STUB = `#!/usr/bin/env node
+console.log('args: ' + process.argv.slice(2).join(' '));
+console.log('cwd: ' + process.cwd());
+console.error('warning from stderr');
+process.exit(Number(process.env.STUB_EXIT_CODE || 0));
+`;
+
+let tmpDir;
+let stubPath;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-pm-test-'));
+  stubPath = path.join(tmpDir, 'stub-npm');
+  await fs.writeFile(stubPath, STUB, { mode: 0o755 });
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+test('install runs the executable with install in the project directory', async () => {
+  const packageManager = new PackageManager('npm', { executable: stubPath });
+  const { code, output } = await packageManager.install(tmpDir);
+
+  assert.equal(code, 0);
+  assert.match(output, /^args: install$/m);
+  assert.match(output, new RegExp(`^cwd: ${await fs.realpath(tmpDir)}$`, 'm'));
+});
+
+test('install passes --offline when asked', async () => {
+  const packageManager = new PackageManager('pnpm', { executable: stubPath });
+  const { output } = await packageManager.install(tmpDir, { offline: true });
+
+  assert.match(output, /^args: install --offline$/m);
+});
+
+test('install streams stdout and stderr line by line', async () => {
+  const packageManager = new PackageManager('npm', { executable: stubPath });
+  const lines = [];
+
+  await packageManager.install(tmpDir, { onOutput: line => lines.push(line) });
+
+  assert.deepEqual(lines.slice().sort(), [
+    'args: install',
+    `cwd: ${await fs.realpath(tmpDir)}`,
+    'warning from stderr'
+  ].sort());
+});
+
+test('install reports the exit code of a failed install', async () => {
+  process.env.STUB_EXIT_CODE = '7';
+
+  try {
+    const packageManager = new PackageManager('yarn', { executable: stubPath });
+    await assert.rejects(packageManager.install(tmpDir), error => {
+      assert.equal(error.message, 'yarn install failed (exit code 7)');
+      assert.equal(error.exitCode, 7);
+      assert.match(error.output, /warning from stderr/);
+      return true;
+    });
+  } finally {
+    delete process.env.STUB_EXIT_CODE;
+  }
+});
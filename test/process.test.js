@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCommand } from '../src/utils/process.js';
+
+test('runCommand resolves with the command output', async () => {
+  const { code, output } = await runCommand('echo first && echo second', [], { shell: true, timeout: 5000 });
+  assert.equal(code, 0);
+  assert.equal(output, 'first\nsecond\n');
+});
+
+test('runCommand rejects with the exit code of a failing command', async () => {
+  await assert.rejects(
+    runCommand(process.execPath, ['-e', 'process.exit(3)'], { timeout: 5000 }),
+    error => error.exitCode === 3
+  );
+});
+
+test('runCommand stops a compound shell command at the timeout', async () => {
+  const start = Date.now();
+
+  await assert.rejects(
+    runCommand('sleep 5; echo too late', [], { shell: true, timeout: 500 }),
+    error => error.timedOut === true && !error.output.includes('too late')
+  );
+
+  assert.ok(Date.now() - start < 3000, `took ${Date.now() - start}ms`);
+});
+
+test('runCommand stops background children of a timed-out command', async () => {
+  const start = Date.now();
+
+  await assert.rejects(
+    runCommand('sleep 5 & sleep 5', [], { shell: true, timeout: 500 }),
+    error => error.timedOut === true
+  );
+
+  assert.ok(Date.now() - start < 3000, `took ${Date.now() - start}ms`);
+});
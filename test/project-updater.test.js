@@ -0,0 +1,134 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ProjectUpdater } from '../src/utils/project-updater.js';
+
+const LINES = ['one', 'two', 'three', 'four', 'five', 'six', 'seven'];
+
+let tmpDir;
+let basePath;
+let nextPath;
+let projectPath;
+
+// Writes the same file into the old template output, the new template output
+// and the project; null leaves it out
+async function writeVersions(file, { base, next, ours }) {
+  for (const [dir, content] of [[basePath, base], [nextPath, next], [projectPath, ours]]) {
+    if (content !== null) {
+      await fs.outputFile(path.join(dir, file), content);
+    }
+  }
+}
+
+function lines(...replacements) {
+  const result = [...LINES];
+  replacements.forEach(([index, value]) => { result[index] = value; });
+  return `${result.join('\n')}\n`;
+}
+
+async function plan(options) {
+  const changes = await new ProjectUpdater(projectPath).plan(basePath, nextPath, options);
+  return Object.fromEntries(changes.map(change => [change.path, change]));
+}
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-update-test-'));
+  basePath = path.join(tmpDir, 'base');
+  nextPath = path.join(tmpDir, 'next');
+  projectPath = path.join(tmpDir, 'project');
+  await Promise.all([basePath, nextPath, projectPath].map(dir => fs.ensureDir(dir)));
+});
+
+afterEach(async () => {
+  await fs.remove(tmpDir);
+});
+
+test('plan leaves files alone that the template did not change', async () => {
+  await writeVersions('same.txt', { base: 'a\n', next: 'a\n', ours: 'edited\n' });
+  await writeVersions('.codegenrc.json', { base: '{}\n', next: '{"version":2}\n', ours: '{}\n' });
+
+  assert.deepEqual(await plan(), {});
+});
+
+test('plan updates untouched files, adds new ones and deletes removed ones', async () => {
+  await writeVersions('updated.txt', { base: 'old\n', next: 'new\n', ours: 'old\n' });
+  await writeVersions('added.txt', { base: null, next: 'added\n', ours: null });
+  await writeVersions('removed.txt', { base: 'gone\n', next: null, ours: 'gone\n' });
+
+  const changes = await plan();
+
+  assert.equal(changes['updated.txt'].action, 'update');
+  assert.equal(changes['updated.txt'].content.toString(), 'new\n');
+  assert.equal(changes['added.txt'].action, 'add');
+  assert.equal(changes['removed.txt'].action, 'delete');
+});
+
+test('plan keeps local edits and deletions the template would undo', async () => {
+  await writeVersions('removed.txt', { base: 'gone\n', next: null, ours: 'kept locally\n' });
+  await writeVersions('deleted.txt', { base: 'old\n', next: 'new\n', ours: null });
+
+  const changes = await plan();
+
+  assert.deepEqual(changes['removed.txt'], { path: 'removed.txt', action: 'skip', reason: 'removed from the template but modified locally' });
+  assert.deepEqual(changes['deleted.txt'], { path: 'deleted.txt', action: 'skip', reason: 'deleted locally' });
+});
+
+test('plan three-way merges changes to different parts of a file', async () => {
+  await writeVersions('merged.txt', {
+    base: lines(),
+    next: lines([6, 'seven from the template']),
+    ours: lines([0, 'one from the project'])
+  });
+
+  const change = (await plan())['merged.txt'];
+
+  assert.equal(change.action, 'merge');
+  assert.equal(change.content.toString(), lines([0, 'one from the project'], [6, 'seven from the template']));
+});
+
+test('plan reports overlapping changes as conflicts with markers and the rejected change', async () => {
+  await writeVersions('conflict.txt', {
+    base: lines(),
+    next: lines([3, 'four from the template']),
+    ours: lines([3, 'four from the project'])
+  });
+
+  const change = (await plan({ labels: ['project', 'old template', 'new template'] }))['conflict.txt'];
+
+  assert.equal(change.action, 'conflict');
+  assert.equal(change.conflicts, 1);
+  assert.match(change.content.toString(), /<<<<<<< project\nfour from the project\n=======\nfour from the template\n>>>>>>> new template\n/);
+  assert.match(change.rejected, /^-four$/m);
+  assert.match(change.rejected, /^\+four from the template$/m);
+});
+
+test('plan does not merge binary files', async () => {
+  await writeVersions('logo.png', {
+    base: Buffer.from([0, 1, 2]),
+    next: Buffer.from([0, 1, 3]),
+    ours: Buffer.from([0, 1, 4])
+  });
+
+  assert.deepEqual((await plan())['logo.png'], { path: 'logo.png', action: 'conflict', binary: true });
+});
+
+test('apply writes the planned changes, or .rej files for conflicts with reject', async () => {
+  await writeVersions('updated.txt', { base: 'old\n', next: 'new\n', ours: 'old\n' });
+  await writeVersions('removed.txt', { base: 'gone\n', next: null, ours: 'gone\n' });
+  await writeVersions('conflict.txt', {
+    base: lines(),
+    next: lines([3, 'four from the template']),
+    ours: lines([3, 'four from the project'])
+  });
+
+  const updater = new ProjectUpdater(projectPath);
+  const written = await updater.apply(await updater.plan(basePath, nextPath), { reject: true });
+
+  assert.deepEqual(written.sort(), ['conflict.txt.rej', 'removed.txt', 'updated.txt']);
+  assert.equal(await fs.readFile(path.join(projectPath, 'updated.txt'), 'utf-8'), 'new\n');
+  assert.equal(await fs.pathExists(path.join(projectPath, 'removed.txt')), false);
+  assert.equal(await fs.readFile(path.join(projectPath, 'conflict.txt'), 'utf-8'), lines([3, 'four from the project']));
+  assert.match(await fs.readFile(path.join(projectPath, 'conflict.txt.rej'), 'utf-8'), /^\+four from the template$/m);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TemplateEngine } from '../src/utils/template-engine.js';
+
+const engine = new TemplateEngine();
+
+test('render replaces variables', () => {
+  assert.equal(engine.render('Hello {{projectName}}!', { projectName: 'app' }), 'Hello app!');
+});
+
+test('render keeps escaped tags', () => {
+  assert.equal(engine.render('\\{{projectName}}', { projectName: 'app' }), '{{projectName}}');
+});
+
+test('render picks the branch of if/else and unless', () => {
+  const source = '{{#if features.typescript}}ts{{else}}js{{/if}}';
+
+  assert.equal(engine.render(source, { features: { typescript: true } }), 'ts');
+  assert.equal(engine.render(source, { features: {} }), 'js');
+  assert.equal(engine.render('{{#unless features.jest}}no tests{{/unless}}', { features: {} }), 'no tests');
+});
+
+test('render evaluates helpers in conditions', () => {
+  assert.equal(engine.render('{{#if eq framework "react"}}react{{/if}}', { framework: 'react' }), 'react');
+  assert.equal(engine.render('{{#if eq framework "react"}}react{{/if}}', { framework: 'vue' }), '');
+});
+
+test('render loops over lists with @index and @last', () => {
+  const source = '{{#each featureList}}{{@index}}:{{this}}{{#unless @last}},{{/unless}}{{/each}}';
+  assert.equal(engine.render(source, { featureList: ['eslint', 'jest'] }), '0:eslint,1:jest');
+});
+
+test('render loops over objects with @key and falls back to else', () => {
+  assert.equal(engine.render('{{#each scripts}}{{@key}}={{this}};{{/each}}', { scripts: { dev: 'vite', build: 'vite build' } }),
+    'dev=vite;build=vite build;');
+  assert.equal(engine.render('{{#each featureList}}- {{this}}{{else}}none{{/each}}', { featureList: [] }), 'none');
+});
+
+test('render leaves no empty lines for block tags on their own line', () => {
+  assert.equal(engine.render('first\n{{#if on}}\nyes\n{{/if}}\nlast\n', { on: true }), 'first\nyes\nlast\n');
+  assert.equal(engine.render('first\n{{#if on}}\nyes\n{{/if}}\nlast\n', { on: false }), 'first\nlast\n');
+});
+
+test('render applies case helpers and defaults', () => {
+  assert.equal(engine.render('{{pascalCase projectName}} {{kebabCase "myApp"}} {{default missing "none"}}', { projectName: 'my-app' }),
+    'MyApp my-app none');
+});
+
+test('render reports unbalanced blocks', () => {
+  assert.throws(() => engine.render('{{#if on}}open'), /Unclosed block \{\{#if\}\}/);
+  assert.throws(() => engine.render('{{/if}}'), /Unexpected closing tag \{\{\/if\}\}/);
+});
+
+test('renderPath interpolates file and directory names', () => {
+  assert.equal(engine.renderPath('src/{{componentName}}/index.js', { componentName: 'Button' }), 'src/Button/index.js');
+});
+
+test('renderPath returns null when a segment renders empty', () => {
+  assert.equal(engine.renderPath('{{#if features.docker}}Dockerfile{{/if}}', { features: {} }), null);
+  assert.equal(engine.renderPath('{{#if features.docs}}docs{{/if}}/guide.md', { features: {} }), null);
+});
+
+test('renderPath refuses paths that leave the project directory', () => {
+  assert.throws(() => engine.renderPath('{{folder}}/notes.txt', { folder: '../../outside' }), /leaves the project directory/);
+  assert.throws(() => engine.renderPath('{{folder}}/notes.txt', { folder: 'a/../../outside' }), /leaves the project directory/);
+});
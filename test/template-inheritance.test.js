@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// The templates directory comes from the config in $HOME, read on import
+const home = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-inheritance-test-'));
+process.env.HOME = home;
+const { TemplateManager } = await import('../src/utils/templates.js');
+
+const templateManager = new TemplateManager();
+
+async function installTemplate(manifest, files) {
+  const templatePath = path.join(templateManager.templatesDir, manifest.name);
+  await fs.outputJson(path.join(templatePath, 'template.json'), { framework: 'express', source: 'local', ...manifest });
+
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(templatePath, file), content);
+  }
+}
+
+before(async () => {
+  await templateManager.ready;
+
+  await installTemplate({
+    name: 'base',
+    features: ['eslint'],
+    variables: { port: { default: 3000 }, greeting: { default: 'hello' } },
+    hooks: { postGenerate: 'echo base' }
+  }, {
+    'README.md': '# {{projectName}}\n',
+    'src/index.js': 'base index\n',
+    'docs/setup.md': 'setup\n',
+    'docs/deploy.md': 'deploy\n',
+    '.env.example': 'PORT={{port}}\n'
+  });
+
+  await installTemplate({
+    name: 'child',
+    extends: 'base',
+    removeFiles: ['docs', '.env.example'],
+    features: ['jest'],
+    variables: { port: { default: 8080 } }
+  }, {
+    'src/index.js': 'child index, {{greeting}} on {{port}}\n',
+    'src/extra.js': 'extra\n'
+  });
+
+  await installTemplate({
+    name: 'grandchild',
+    extends: 'child',
+    removeFiles: ['src/extra.js'],
+    hooks: { postGenerate: 'echo grandchild' }
+  }, {
+    'docs/usage.md': 'usage\n'
+  });
+
+  await installTemplate({ name: 'loop-a', extends: 'loop-b' }, {});
+  await installTemplate({ name: 'loop-b', extends: 'loop-a' }, {});
+  await installTemplate({ name: 'orphan', extends: 'missing-parent' }, {});
+});
+
+after(async () => {
+  await fs.remove(home);
+});
+
+test('collectTemplateFiles lays the child over its parent and drops removeFiles', async () => {
+  const child = await templateManager.getTemplate('child');
+  const files = await templateManager.collectTemplateFiles(child);
+
+  assert.deepEqual([...files.keys()].sort(), ['README.md', 'src/extra.js', 'src/index.js']);
+  assert.equal(files.get('README.md'), path.join(templateManager.templatesDir, 'base', 'README.md'));
+  assert.equal(files.get('src/index.js'), path.join(templateManager.templatesDir, 'child', 'src', 'index.js'));
+});
+
+test('removeFiles only removes inherited files, across several levels', async () => {
+  const grandchild = await templateManager.getTemplate('grandchild');
+  const files = await templateManager.collectTemplateFiles(grandchild);
+
+  assert.deepEqual([...files.keys()].sort(), ['README.md', 'docs/usage.md', 'src/index.js']);
+});
+
+test('flattenTemplate merges features, variables and hooks down the chain', async () => {
+  const template = await templateManager.resolveTemplate('express', 'grandchild');
+
+  assert.deepEqual(template.features, ['eslint', 'jest']);
+  assert.deepEqual(template.variables, { port: { default: 8080 }, greeting: { default: 'hello' } });
+  assert.deepEqual(template.hooks, { postGenerate: 'echo grandchild' });
+  assert.deepEqual(template.inherits, ['base', 'child']);
+});
+
+test('scaffoldFromTemplate renders inherited files with the merged variables', async () => {
+  const target = path.join(home, 'project');
+  const template = await templateManager.resolveTemplate('express', 'child');
+
+  await templateManager.scaffoldFromTemplate(template, target, { name: 'demo', features: [] });
+
+  assert.equal(await fs.readFile(path.join(target, 'README.md'), 'utf-8'), '# demo\n');
+  assert.equal(await fs.readFile(path.join(target, 'src/index.js'), 'utf-8'), 'child index, hello on 8080\n');
+  assert.equal(await fs.pathExists(path.join(target, 'docs')), false);
+  assert.equal(await fs.pathExists(path.join(target, '.env.example')), false);
+});
+
+test('resolveTemplateChain reports cycles and missing parents', async () => {
+  await assert.rejects(
+    templateManager.resolveTemplate('express', 'loop-a'),
+    /Template inheritance cycle: loop-a@1\.0\.0 -> loop-b@1\.0\.0 -> loop-a@1\.0\.0/
+  );
+  await assert.rejects(
+    templateManager.resolveTemplate('express', 'orphan'),
+    /Template "orphan" extends "missing-parent", which is not installed/
+  );
+});
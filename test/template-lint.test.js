@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// The templates directory comes from the config in $HOME, read on import
+const home = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-lint-test-'));
+process.env.HOME = home;
+const { TemplateManager } = await import('../src/utils/templates.js');
+
+const templateManager = new TemplateManager();
+const workDir = path.join(home, 'work');
+
+async function writeTemplate(folder, manifest, files = {}) {
+  const templatePath = path.join(workDir, folder);
+  await fs.outputJson(path.join(templatePath, 'template.json'), manifest);
+
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(templatePath, file), content);
+  }
+
+  return templatePath;
+}
+
+async function lint(templatePath) {
+  const [template] = await templateManager.findTemplatesToLint(templatePath);
+  return templateManager.lintTemplate(template);
+}
+
+before(async () => {
+  await templateManager.ready;
+});
+
+after(async () => {
+  await fs.remove(home);
+});
+
+test('validateManifest reports schema problems by field', () => {
+  assert.deepEqual(templateManager.validateManifest({
+    name: 'bad name',
+    framework: 'express',
+    version: 'one',
+    features: ['eslint', 1],
+    extends: 'bad name'
+  }), [
+    'name: may only contain letters, numbers, ".", "_" and "-"',
+    'version: must be a semantic version such as 1.0.0',
+    'features[1]: must be a string',
+    'extends: a template cannot extend itself'
+  ]);
+  assert.deepEqual(templateManager.validateManifest([]), ['template.json must contain a JSON object']);
+  assert.deepEqual(templateManager.validateManifest({ name: 'api', framework: 'express', version: '1.0.0' }), []);
+});
+
+test('lintTemplate passes a clean template', async () => {
+  const templatePath = await writeTemplate('clean', {
+    name: 'clean',
+    framework: 'express',
+    variables: { port: { default: 3000 } }
+  }, {
+    'index.js': 'const port = {{port}}; // {{projectName}}\nconst literal = "\\{{notAVariable}}";\n'
+  });
+
+  assert.deepEqual(await lint(templatePath), { errors: [], warnings: [] });
+});
+
+test('lintTemplate reports syntax errors in file contents and names', async () => {
+  const templatePath = await writeTemplate('broken', { name: 'broken', framework: 'express' }, {
+    'open.txt': '{{#if features.docker}}never closed',
+    '{{#if features.docker}}Dockerfile': 'FROM node:20\n'
+  });
+  const { errors } = await lint(templatePath);
+
+  assert.deepEqual(errors.sort((a, b) => a.file.localeCompare(b.file)), [
+    { file: '{{#if features.docker}}Dockerfile', message: 'file name: Unclosed block {{#if}}' },
+    { file: 'open.txt', message: 'Unclosed block {{#if}}' }
+  ]);
+});
+
+test('lintTemplate warns about unresolved placeholders, unused variables and unknown properties', async () => {
+  const templatePath = await writeTemplate('messy', {
+    name: 'messy',
+    framework: 'express',
+    colour: 'red',
+    variables: { port: { default: 3000 }, unused: { default: true } }
+  }, {
+    'index.js': 'const port = {{port}};\nconst host = {{hostName}};\n'
+  });
+  const { errors, warnings } = await lint(templatePath);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings.map(({ file, line, message }) => [file, line, message]), [
+    ['template.json', undefined, 'unknown property "colour"'],
+    ['index.js', 2, '{{hostName}} does not resolve and will be left as is (declare it under "variables" or escape it as \\{{)'],
+    ['template.json', undefined, 'variables.unused is declared but never used']
+  ]);
+});
+
+test('lintTemplate reports a parent that is not installed', async () => {
+  const templatePath = await writeTemplate('orphan', { name: 'orphan', framework: 'express', extends: 'missing-parent' });
+
+  assert.deepEqual((await lint(templatePath)).errors, [
+    { file: 'template.json', message: 'Template "orphan" extends "missing-parent", which is not installed' }
+  ]);
+});
+
+test('findTemplatesToLint needs a template.json in a folder target', async () => {
+  await fs.ensureDir(path.join(workDir, 'empty'));
+  await assert.rejects(templateManager.findTemplatesToLint(path.join(workDir, 'empty')), /No template\.json found/);
+  await assert.rejects(templateManager.findTemplatesToLint('not-installed'), /Template "not-installed" not found/);
+});
+
+test('the built-in templates lint cleanly', async () => {
+  for (const template of await templateManager.findTemplatesToLint()) {
+    assert.deepEqual(await templateManager.lintTemplate(template), { errors: [], warnings: [] }, template.name);
+  }
+});
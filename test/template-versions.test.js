@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// The templates directory comes from the config in $HOME, read on import
+const home = await fs.mkdtemp(path.join(os.tmpdir(), 'codegen-versions-test-'));
+process.env.HOME = home;
+const { TemplateManager } = await import('../src/utils/templates.js');
+
+const templateManager = new TemplateManager();
+
+async function installVersion(name, version) {
+  const templatePath = path.join(templateManager.templatesDir, name, version);
+  await fs.outputJson(path.join(templatePath, 'template.json'), { name, framework: 'express', version });
+  await fs.outputFile(path.join(templatePath, 'VERSION'), version);
+}
+
+before(async () => {
+  await templateManager.ready;
+  for (const version of ['1.0.0', '1.2.0', '2.0.0-beta.1', '2.0.0']) {
+    await installVersion('api', version);
+  }
+});
+
+after(async () => {
+  await fs.remove(home);
+});
+
+test('listTemplateVersions lists every installed version, newest first', async () => {
+  const versions = await templateManager.listTemplateVersions('api');
+  assert.deepEqual(versions.map(template => template.version), ['2.0.0', '2.0.0-beta.1', '1.2.0', '1.0.0']);
+});
+
+test('getTemplate picks the newest version without a range or with latest', async () => {
+  assert.equal((await templateManager.getTemplate('api')).version, '2.0.0');
+  assert.equal((await templateManager.getTemplate('api@latest')).version, '2.0.0');
+});
+
+test('getTemplate picks an exact version or the newest one in a range', async () => {
+  assert.equal((await templateManager.getTemplate('api@1.0.0')).version, '1.0.0');
+  assert.equal((await templateManager.getTemplate('api@^1.0.0')).version, '1.2.0');
+  assert.equal((await templateManager.getTemplate('api@<2')).version, '1.2.0');
+});
+
+test('getTemplate returns the files of the selected version', async () => {
+  const template = await templateManager.getTemplate('api@~1.0.0');
+  assert.equal(await fs.readFile(path.join(template.path, 'VERSION'), 'utf-8'), '1.0.0');
+});
+
+test('getTemplate returns null when no version matches and rejects invalid ranges', async () => {
+  assert.equal(await templateManager.getTemplate('api@^3.0.0'), null);
+  await assert.rejects(templateManager.getTemplate('api@not-a-range'), /Invalid version range "not-a-range"/);
+});
+
+test('resolveTemplate lists the installed versions when none matches', async () => {
+  await assert.rejects(
+    templateManager.resolveTemplate('express', 'api@^3.0.0'),
+    /No version of template "api" matches \^3\.0\.0 \(installed: 2\.0\.0, 2\.0\.0-beta\.1, 1\.2\.0, 1\.0\.0\)/
+  );
+});
+
+test('listTemplates reports the latest version with all versions', async () => {
+  const api = (await templateManager.listTemplates()).find(template => template.name === 'api');
+  assert.equal(api.version, '2.0.0');
+  assert.deepEqual(api.versions, ['2.0.0', '2.0.0-beta.1', '1.2.0', '1.0.0']);
+});
+
+test('createTemplate refuses a name that is already installed', async () => {
+  await assert.rejects(
+    templateManager.createTemplate({ name: 'api', framework: 'express', version: '0.1.0', features: [] }),
+    /Template "api" is already installed/
+  );
+  assert.equal((await templateManager.listTemplateVersions('api')).length, 4);
+});